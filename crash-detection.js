@@ -0,0 +1,68 @@
+// ---- Crash detection ----
+// A high-g impact followed by prolonged stillness (device lying at ~1 g) is
+// treated as a possible crash. Samples are { time, x, y, z } in m/s² including
+// gravity; `updateCrashDetector` is a pure step function over them.
+//
+// Plain script (no JSX, no app globals) loaded before main.js, so the same
+// code can be replayed in Node against the recorded traces in traces/:
+//   node scripts/check-crash-traces.js
+const STANDARD_GRAVITY = 9.81;
+const CRASH_IMPACT_G = 4;
+const CRASH_SETTLE_MS = 2000; // ignore the tumble right after the impact
+const CRASH_STILL_TOLERANCE_G = 0.15;
+const CRASH_STILLNESS_MS = 10 * 1000;
+const CRASH_STILLNESS_DEADLINE_MS = 20 * 1000; // stillness must start this soon after impact
+
+const emptyCrashDetector = () => ({ impactAt: null, stillSince: null, peakG: 0 });
+
+// Feed one motion sample. Returns { state, triggered }.
+const updateCrashDetector = (state, sample) => {
+    const g = Math.sqrt(sample.x * sample.x + sample.y * sample.y + sample.z * sample.z) / STANDARD_GRAVITY;
+    if (g >= CRASH_IMPACT_G) {
+        return {
+            state: { impactAt: sample.time, stillSince: null, peakG: Math.max(g, state.impactAt ? state.peakG : 0) },
+            triggered: false
+        };
+    }
+    if (state.impactAt === null) return { state, triggered: false };
+
+    const sinceImpact = sample.time - state.impactAt;
+    if (sinceImpact < CRASH_SETTLE_MS) return { state, triggered: false };
+
+    if (Math.abs(g - 1) <= CRASH_STILL_TOLERANCE_G) {
+        const stillSince = state.stillSince === null ? sample.time : state.stillSince;
+        if (sample.time - stillSince >= CRASH_STILLNESS_MS) {
+            return { state: emptyCrashDetector(), triggered: true };
+        }
+        return { state: { ...state, stillSince }, triggered: false };
+    }
+
+    // Moving again: give up once the rider has clearly carried on
+    if (sinceImpact > CRASH_STILLNESS_DEADLINE_MS) return { state: emptyCrashDetector(), triggered: false };
+    return { state: { ...state, stillSince: null }, triggered: false };
+};
+
+// Replay a recorded trace; returns the sample time the detector fired at, or null
+const detectCrashInTrace = (samples) => {
+    let state = emptyCrashDetector();
+    for (const sample of samples) {
+        const result = updateCrashDetector(state, sample);
+        if (result.triggered) return sample.time;
+        state = result.state;
+    }
+    return null;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STANDARD_GRAVITY,
+        CRASH_IMPACT_G,
+        CRASH_SETTLE_MS,
+        CRASH_STILL_TOLERANCE_G,
+        CRASH_STILLNESS_MS,
+        CRASH_STILLNESS_DEADLINE_MS,
+        emptyCrashDetector,
+        updateCrashDetector,
+        detectCrashInTrace
+    };
+}
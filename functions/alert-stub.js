@@ -0,0 +1,36 @@
+// Local stand-in for the SOS webhook / email relay used by onAlertCreated.
+//
+//   npm run alert-stub                 listen on http://localhost:8787/
+//   PORT=9000 npm run alert-stub       another port
+//   STUB_FAIL=1 npm run alert-stub     answer 500 to exercise `delivery: failed`
+//
+// Every POST body is printed, so with the emulator running and
+// ALERT_WEBHOOK_URL / ALERT_EMAIL_RELAY_URL pointed here you can see exactly
+// what a new SOS sends out.
+const http = require('http');
+
+const port = Number(process.env.PORT) || 8787;
+const fail = process.env.STUB_FAIL === '1';
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let parsed = body;
+    try {
+      parsed = JSON.parse(body);
+    } catch (e) {
+      // not JSON; print as received
+    }
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    console.log(typeof parsed === 'string' ? parsed : JSON.stringify(parsed, null, 2));
+    res.writeHead(fail ? 500 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: !fail }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Alert stub listening on http://localhost:${port}/${fail ? ' (failing every request)' : ''}`);
+});
@@ -13,7 +13,9 @@ try {
  * Scheduled Cloud Function that runs every minute and deletes expired pins.
  *
  * It queries each group's `pins` node for pins where `expiresAt <= now`
- * and removes them. Using a scheduled function guarantees cleanup even when
+ * and removes them. Each pin carries its own `expiresAt` (from its type's
+ * default lifetime or an explicit override); pins without one are kept
+ * "until removed". Using a scheduled function guarantees cleanup even when
  * no clients are connected.
  */
 exports.cleanupExpiredPins = functions.pubsub
@@ -33,7 +35,9 @@ exports.cleanupExpiredPins = functions.pubsub
     for (const groupId of Object.keys(groups)) {
       try {
         const pinsRef = admin.database().ref(`groups/${groupId}/pins`);
-        const expiredSnap = await pinsRef.orderByChild('expiresAt').endAt(now).once('value');
+        // startAt(1) skips "until removed" pins (no expiresAt, e.g. parking or
+        // open SOS pins), which would otherwise sort first and match endAt(now)
+        const expiredSnap = await pinsRef.orderByChild('expiresAt').startAt(1).endAt(now).once('value');
         if (expiredSnap.exists()) {
           expiredSnap.forEach(child => {
             deletes.push(child.ref.remove());
@@ -48,3 +52,166 @@ exports.cleanupExpiredPins = functions.pubsub
     await Promise.all(deletes);
     return { deleted: deletes.length };
   });
+
+// Outbound alert delivery, configured through the environment (e.g. a
+// functions/.env file):
+//   ALERT_WEBHOOK_URL      receives every new SOS as JSON
+//   ALERT_EMAIL_RELAY_URL  receives { to, subject, text } for an email relay
+//   ALERT_EMAIL_TO         recipient(s) handed to the email relay
+//   ALERT_RETENTION_HOURS  how long closed alerts are kept (default 24)
+//   FEED_RETENTION_HOURS   how long group feed events are kept (default 48)
+// Any of the URLs can point at the local HTTP stub (`npm run alert-stub`) when
+// running the emulator.
+const FANOUT_ALERT_TYPES = ['SOS'];
+const DEFAULT_ALERT_RETENTION_HOURS = 24;
+const DEFAULT_FEED_RETENTION_HOURS = 48;
+
+const postJson = async (url, body) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    throw new Error(`${url} responded ${res.status}`);
+  }
+};
+
+// Merge `patch` into a record only if it still exists, so a late write can't
+// recreate an alert deleted in the meantime. The first attempt can see null
+// before the server value arrives; returning null then writes nothing, and the
+// transaction retries with the real value if there is one.
+const updateIfExists = (ref, patch) =>
+  ref.transaction(current => (current === null ? null : { ...current, ...patch }));
+
+const alertEmail = (groupName, alert) => {
+  const where = typeof alert.lat === 'number' && typeof alert.lon === 'number'
+    ? `${alert.lat.toFixed(6)}, ${alert.lon.toFixed(6)} (https://maps.google.com/?q=${alert.lat},${alert.lon})`
+    : 'unknown location';
+  return {
+    subject: `SOS from ${alert.username} in ${groupName}`,
+    text: [
+      `${alert.username} sent an SOS${alert.trigger === 'crash' ? ' (crash detected)' : ''}.`,
+      `Group: ${groupName}`,
+      `Location: ${where}`,
+      `Sent: ${new Date(alert.timestamp || Date.now()).toISOString()}`
+    ].join('\n')
+  };
+};
+
+/**
+ * Realtime Database trigger for new alerts.
+ *
+ * Stamps each alert with `serverTimestamp` so ordering doesn't depend on
+ * client clocks, then fans SOS alerts out to the configured webhook and/or
+ * email relay. The outcome per channel is recorded under `delivery` so the
+ * sender can see whether anything left the app. Neither write recreates an
+ * alert (or group) that was deleted while delivery was in flight.
+ */
+exports.onAlertCreated = functions.database
+  .ref('/groups/{groupId}/alerts/{alertId}')
+  .onCreate(async (snapshot, context) => {
+    const { groupId, alertId } = context.params;
+    const alert = snapshot.val() || {};
+
+    await updateIfExists(snapshot.ref, { serverTimestamp: Date.now() });
+    if (!FANOUT_ALERT_TYPES.includes(alert.type)) {
+      return null;
+    }
+
+    const webhookUrl = process.env.ALERT_WEBHOOK_URL;
+    const relayUrl = process.env.ALERT_EMAIL_RELAY_URL;
+    const emailTo = process.env.ALERT_EMAIL_TO;
+
+    const nameSnap = await admin.database().ref(`groups/${groupId}/meta/name`).once('value');
+    const groupName = nameSnap.val() || groupId;
+
+    const channels = [];
+    if (webhookUrl) {
+      channels.push(['webhook', postJson(webhookUrl, { groupId, groupName, alertId, ...alert })]);
+    }
+    if (relayUrl && emailTo) {
+      channels.push(['email', postJson(relayUrl, { to: emailTo, ...alertEmail(groupName, alert) })]);
+    }
+
+    const results = await Promise.allSettled(channels.map(([, sending]) => sending));
+    const delivery = {};
+    channels.forEach(([channel], i) => {
+      if (results[i].status === 'fulfilled') {
+        delivery[channel] = 'sent';
+      } else {
+        delivery[channel] = 'failed';
+        console.warn(`SOS ${groupId}/${alertId} ${channel} delivery failed:`, results[i].reason);
+      }
+    });
+
+    const { committed, snapshot: after } = await updateIfExists(snapshot.ref, { delivery });
+    if (!committed || !after.exists()) {
+      console.log(`SOS ${groupId}/${alertId} was removed before delivery could be recorded`);
+      return null;
+    }
+    return { delivered: Object.keys(delivery).filter(channel => delivery[channel] === 'sent') };
+  });
+
+/**
+ * Realtime Database trigger for alerts raised again in place.
+ *
+ * Inactivity alerts live at a fixed key, so re-raising one after it was
+ * cleared replaces the record rather than creating it and onAlertCreated never
+ * runs. Stamp `serverTimestamp` here instead. The stamp leaves `cleared`
+ * untouched, so it doesn't retrigger this.
+ */
+exports.onAlertReopened = functions.database
+  .ref('/groups/{groupId}/alerts/{alertId}')
+  .onUpdate(async (change) => {
+    const before = change.before.val() || {};
+    const after = change.after.val() || {};
+    if (!before.cleared || after.cleared) {
+      return null;
+    }
+    await updateIfExists(change.after.ref, { serverTimestamp: Date.now() });
+    return null;
+  });
+
+/**
+ * Scheduled Cloud Function that owns alert and feed retention.
+ *
+ * Clients never delete alerts. Open SOS alerts are kept until someone
+ * resolves or cancels them; closed SOS alerts and cleared inactivity alerts
+ * are removed once they have been closed for ALERT_RETENTION_HOURS. Group
+ * feed events older than FEED_RETENTION_HOURS are removed as well.
+ */
+exports.cleanupClosedAlerts = functions.pubsub
+  .schedule('every 60 minutes')
+  .onRun(async (context) => {
+    const retentionHours = Number(process.env.ALERT_RETENTION_HOURS) || DEFAULT_ALERT_RETENTION_HOURS;
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    const feedRetentionHours = Number(process.env.FEED_RETENTION_HOURS) || DEFAULT_FEED_RETENTION_HOURS;
+    const feedCutoff = Date.now() - feedRetentionHours * 60 * 60 * 1000;
+    const groupsSnap = await admin.database().ref('groups').once('value');
+    if (!groupsSnap.exists()) {
+      return { deleted: 0 };
+    }
+
+    const deletes = [];
+    groupsSnap.forEach(groupSnap => {
+      groupSnap.child('alerts').forEach(alertSnap => {
+        const alert = alertSnap.val() || {};
+        const closedAt = alert.type === 'SOS'
+          ? (['resolved', 'cancelled'].includes(alert.status) ? alert.closedAt : null)
+          : (alert.cleared ? alert.clearedAt : null);
+        if (closedAt && closedAt <= cutoff) {
+          deletes.push(alertSnap.ref.remove());
+        }
+      });
+      groupSnap.child('feed').forEach(itemSnap => {
+        const item = itemSnap.val() || {};
+        if (!item.timestamp || item.timestamp <= feedCutoff) {
+          deletes.push(itemSnap.ref.remove());
+        }
+      });
+    });
+
+    await Promise.all(deletes);
+    return { deleted: deletes.length };
+  });
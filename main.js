@@ -19,26 +19,1224 @@ if (!firebase.apps.length) {
 const auth = firebase.auth();
 const database = firebase.database();
 
+// Location tracking profiles. Writes are throttled by elapsed time and distance
+// moved; a heartbeat write still goes out while stationary so the group knows
+// we're alive. `highAccuracy` is the GPS mode while moving with the tab visible.
+const TRACKING_PROFILES = {
+    high: {
+        label: 'High',
+        icon: '🎯',
+        highAccuracy: true,
+        minIntervalMs: 2000,
+        minDistanceMeters: 5,
+        heartbeatMs: 15000,
+        stationaryAfterMs: 2 * 60 * 1000,
+        maximumAge: 5000
+    },
+    balanced: {
+        label: 'Balanced',
+        icon: '⚖️',
+        highAccuracy: true,
+        minIntervalMs: 5000,
+        minDistanceMeters: 15,
+        heartbeatMs: 30000,
+        stationaryAfterMs: 60 * 1000,
+        maximumAge: 10000
+    },
+    saver: {
+        label: 'Saver',
+        icon: '🔋',
+        highAccuracy: false,
+        minIntervalMs: 15000,
+        minDistanceMeters: 40,
+        heartbeatMs: 60000,
+        stationaryAfterMs: 30 * 1000,
+        maximumAge: 30000
+    }
+};
+const DEFAULT_TRACKING_PROFILE = 'balanced';
+// How often the heartbeat timer checks whether a heartbeat write is due; GPS
+// callbacks can stop entirely on a device that isn't moving
+const HEARTBEAT_CHECK_MS = 5000;
+const TRACKING_PROFILE_STORAGE_KEY = 'groupride.trackingProfile';
+
+// Read the saved tracking profile, falling back to the default
+const loadTrackingProfile = () => {
+    try {
+        const saved = localStorage.getItem(TRACKING_PROFILE_STORAGE_KEY);
+        if (saved && TRACKING_PROFILES[saved]) return saved;
+    } catch (e) {
+        // localStorage can throw in private mode
+    }
+    return DEFAULT_TRACKING_PROFILE;
+};
+
+// Great-circle distance in meters between two lat/lon points (haversine)
+const distanceMeters = (lat1, lon1, lat2, lon2) => {
+    const R = 6371000;
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Fastest plausible ground speed per sport (m/s). Jumps faster than this are
+// treated as outliers (bad WiFi/cell fixes, multipath in gullies).
+const MAX_PLAUSIBLE_SPEED_MPS = {
+    ski: 35,
+    bike: 25
+};
+// Expected movement noise (m/s) used to grow the filter's uncertainty over time
+const FIX_FILTER_PROCESS_NOISE_MPS = 3;
+// After this many consecutive rejections, assume the filter is the one that's
+// wrong (e.g. it locked onto a bad first fix) and reset to the new reading
+const FIX_FILTER_MAX_REJECTIONS = 3;
+
+// Accuracy-weighted smoothing of raw fixes (a 1D Kalman filter applied to lat/lon).
+// `state` is { lat, lon, variance, time, rejections } or null; `raw` is
+// { lat, lon, accuracy, time }. `speedScale` > 1 when replaying a route faster
+// than real time. Returns { state, accepted, reason }.
+const filterFix = (state, raw, sport, speedScale = 1) => {
+    const accuracy = Math.max(1, Number(raw.accuracy) || 1);
+    const reset = {
+        state: { lat: raw.lat, lon: raw.lon, variance: accuracy * accuracy, time: raw.time, rejections: 0 },
+        accepted: true,
+        reason: 'reset'
+    };
+    if (!state) return reset;
+
+    const dtSeconds = Math.max(0, (raw.time - state.time) / 1000);
+    const maxSpeed = (MAX_PLAUSIBLE_SPEED_MPS[sport] || MAX_PLAUSIBLE_SPEED_MPS.ski) * speedScale;
+    const jump = distanceMeters(state.lat, state.lon, raw.lat, raw.lon);
+    const allowed = maxSpeed * dtSeconds + accuracy + Math.sqrt(state.variance);
+    if (jump > allowed) {
+        const rejections = (state.rejections || 0) + 1;
+        if (rejections >= FIX_FILTER_MAX_REJECTIONS) return reset;
+        return { state: { ...state, rejections }, accepted: false, reason: 'implausible-jump' };
+    }
+
+    const variance = state.variance + dtSeconds * (FIX_FILTER_PROCESS_NOISE_MPS * speedScale) ** 2;
+    const gain = variance / (variance + accuracy * accuracy);
+    return {
+        state: {
+            lat: state.lat + gain * (raw.lat - state.lat),
+            lon: state.lon + gain * (raw.lon - state.lon),
+            variance: (1 - gain) * variance,
+            time: raw.time,
+            rejections: 0
+        },
+        accepted: true,
+        reason: 'smoothed'
+    };
+};
+
+// Offline write queue. Every location write is appended here (and persisted)
+// before it is flushed, so fixes recorded in dead zones survive reloads and
+// land in order once the connection comes back.
+const LOCATION_QUEUE_STORAGE_KEY = 'groupride.locationQueue';
+const MAX_QUEUED_FIXES = 1000;
+
+const loadQueuedFixes = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LOCATION_QUEUE_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const saveQueuedFixes = (queue) => {
+    try {
+        localStorage.setItem(LOCATION_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    } catch (e) {
+        console.warn('[Queue] Could not persist location queue:', e);
+    }
+};
+
+// Compact record stored under groups/<code>/history/<uid>/<timestamp>
+const toHistoryPoint = (data) => {
+    const point = { lat: data.lat, lon: data.lon, timestamp: data.timestamp };
+    if (typeof data.accuracy === 'number') point.accuracy = data.accuracy;
+    if (typeof data.altitude === 'number') point.altitude = data.altitude;
+    return point;
+};
+
+// Breadcrumb tracks: each member's fixes under groups/<code>/tracks/<uid>,
+// kept to MAX_TRACK_POINTS by the writer. The newest half stays at full
+// resolution; older points are thinned rather than dropped, so the "Session"
+// window still reaches back to where we joined.
+const MAX_TRACK_POINTS = 500;
+const TRACK_WINDOWS = {
+    off: { label: 'Off', ms: 0 },
+    '5m': { label: '5 min', ms: 5 * 60 * 1000 },
+    '30m': { label: '30 min', ms: 30 * 60 * 1000 },
+    session: { label: 'Session', ms: Infinity }
+};
+const TRACK_WINDOW_ORDER = ['off', '5m', '30m', 'session'];
+const TRACK_FADE_STEPS = 5;
+
+// Track keys (sorted timestamps) to delete so the track fits `max`: repeatedly
+// drop the older point whose neighbours are closest in time, never the first
+const trackKeysToThin = (sortedKeys, max = MAX_TRACK_POINTS) => {
+    const keys = sortedKeys.slice();
+    const recent = Math.floor(max / 2);
+    const removed = [];
+    while (keys.length > max) {
+        let best = 1;
+        for (let i = 2; i < keys.length - recent; i++) {
+            if (Number(keys[i + 1]) - Number(keys[i - 1]) < Number(keys[best + 1]) - Number(keys[best - 1])) best = i;
+        }
+        removed.push(keys.splice(best, 1)[0]);
+    }
+    return removed;
+};
+
+// Stable per-member color (golden angle hue distribution)
+const memberColor = (userId) => {
+    const hue = (parseInt(userId.charCodeAt(0)) * 137.5) % 360;
+    return `hsl(${hue}, 70%, 50%)`;
+};
+
+// Split an ordered list of [lat, lon] into consecutive segments whose opacity
+// rises toward the newest point, so tracks read as fading tails
+const fadingTrailSegments = (coords, steps = TRACK_FADE_STEPS) => {
+    if (coords.length < 2) return [];
+    const count = Math.min(steps, coords.length - 1);
+    const size = (coords.length - 1) / count;
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+        const from = Math.round(i * size);
+        const to = Math.round((i + 1) * size);
+        segments.push({
+            coords: coords.slice(from, to + 1),
+            opacity: 0.15 + 0.7 * ((i + 1) / count)
+        });
+    }
+    return segments;
+};
+
+// ---- Session export (GPX 1.1 / GeoJSON) ----
+// Both builders take { name, tracks: [{ uid, name, sport, points }], pins }
+// where points are { lat, lon, timestamp } and pins are records from groups/<code>/pins.
+
+const escapeXml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toIsoTime = (timestamp) => new Date(timestamp).toISOString();
+
+const sortedTrackPoints = (points) => Object.values(points || {})
+    .filter(p => p && typeof p.lat === 'number' && typeof p.lon === 'number' && p.timestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+// Ordered fixes recorded at or after `since`, one per timestamp
+const sessionTrackPoints = (points, since = 0) => sortedTrackPoints(points)
+    .filter((p, i, all) => p.timestamp >= since && (i === 0 || p.timestamp !== all[i - 1].timestamp));
+
+// Local session log per group: our own fixes and every pin seen since we
+// joined. Breadcrumb tracks are trimmed and pins expire, so exports read this.
+const SESSION_LOG_STORAGE_PREFIX = 'groupride.session.';
+const SESSION_LOG_MAX_AGE_MS = 24 * 60 * 60 * 1000; // a stale log starts a new session
+const SESSION_LOG_MIN_INTERVAL_MS = 5000;
+const SESSION_LOG_SAVE_MS = 30 * 1000;
+
+const loadSessionLog = (code, now) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SESSION_LOG_STORAGE_PREFIX + code) || 'null');
+        if (saved && Array.isArray(saved.fixes) && now - saved.startedAt < SESSION_LOG_MAX_AGE_MS) {
+            return { startedAt: saved.startedAt, fixes: saved.fixes, pins: saved.pins || {} };
+        }
+    } catch (e) {
+        console.warn('[Session] Could not read session log:', e);
+    }
+    return { startedAt: now, fixes: [], pins: {} };
+};
+
+const saveSessionLog = (code, log) => {
+    try {
+        localStorage.setItem(SESSION_LOG_STORAGE_PREFIX + code, JSON.stringify(log));
+    } catch (e) {
+        console.warn('[Session] Could not persist session log:', e);
+    }
+};
+
+const buildGpx = ({ name, tracks, pins }) => {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="GroupRide" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <metadata>',
+        `    <name>${escapeXml(name)}</name>`,
+        `    <time>${toIsoTime(Date.now())}</time>`,
+        '  </metadata>'
+    ];
+    // GPX 1.1 requires waypoints before tracks
+    pins.forEach((pin) => {
+        lines.push(`  <wpt lat="${pin.lat}" lon="${pin.lon}">`);
+        if (pin.createdAt) lines.push(`    <time>${toIsoTime(pin.createdAt)}</time>`);
+        lines.push(`    <name>${escapeXml(pin.label)}</name>`);
+        const desc = [pin.pinTime && `Time: ${pin.pinTime}`, pin.createdBy && `By: ${pin.createdBy}`].filter(Boolean).join(', ');
+        if (desc) lines.push(`    <desc>${escapeXml(desc)}</desc>`);
+        lines.push(`    <type>${pin.isSOS ? 'SOS' : 'pin'}</type>`);
+        lines.push('  </wpt>');
+    });
+    tracks.forEach((track) => {
+        lines.push('  <trk>');
+        lines.push(`    <name>${escapeXml(track.name)}</name>`);
+        lines.push(`    <type>${escapeXml(track.sport)}</type>`);
+        lines.push('    <trkseg>');
+        track.points.forEach((p) => {
+            lines.push(`      <trkpt lat="${p.lat}" lon="${p.lon}"><time>${toIsoTime(p.timestamp)}</time></trkpt>`);
+        });
+        lines.push('    </trkseg>');
+        lines.push('  </trk>');
+    });
+    lines.push('</gpx>');
+    return lines.join('\n');
+};
+
+const buildGeoJson = ({ name, tracks, pins }) => ({
+    type: 'FeatureCollection',
+    name: name,
+    features: [
+        ...tracks.filter(track => track.points.length).map(track => ({
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: track.points.map(p => [p.lon, p.lat])
+            },
+            properties: {
+                kind: 'track',
+                uid: track.uid,
+                name: track.name,
+                sport: track.sport,
+                coordTimes: track.points.map(p => toIsoTime(p.timestamp))
+            }
+        })),
+        ...pins.map(pin => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [pin.lon, pin.lat]
+            },
+            properties: {
+                kind: pin.isSOS ? 'sos' : 'pin',
+                label: pin.label,
+                pinTime: pin.pinTime || null,
+                createdBy: pin.createdBy || null,
+                createdAt: pin.createdAt ? toIsoTime(pin.createdAt) : null,
+                expiresAt: pin.expiresAt ? toIsoTime(pin.expiresAt) : null
+            }
+        }))
+    ]
+});
+
+// Trigger a browser download of a text file
+const downloadFile = (filename, content, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// ---- Route replay (demo / testing simulator) ----
+// Routes load from a local GPX or GeoJSON file and play back through the same
+// fix pipeline as real GPS. Routes without timestamps are paced at a typical speed.
+const REPLAY_DEFAULT_SPEED_MPS = {
+    ski: 8,
+    bike: 5
+};
+const REPLAY_SPEED_OPTIONS = [1, 2, 5, 10, 30];
+const REPLAY_TICK_MS = 1000;
+const REPLAY_ACCURACY_METERS = 5;
+
+// Extract [{ lat, lon, time }] from the first track/route/line in a GPX or GeoJSON document
+const parseRouteFile = (text, filename = '') => {
+    const trimmed = (text || '').trim();
+    if (/\.gpx$/i.test(filename) || trimmed.startsWith('<')) {
+        const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error('Could not read GPX file.');
+        }
+        const container = doc.getElementsByTagName('trk')[0] || doc.getElementsByTagName('rte')[0] || doc;
+        let nodes = container.getElementsByTagName('trkpt');
+        if (!nodes.length) nodes = container.getElementsByTagName('rtept');
+        if (!nodes.length) nodes = container.getElementsByTagName('wpt');
+        return Array.from(nodes).map((node) => {
+            const timeEl = node.getElementsByTagName('time')[0];
+            return {
+                lat: parseFloat(node.getAttribute('lat')),
+                lon: parseFloat(node.getAttribute('lon')),
+                time: timeEl ? Date.parse(timeEl.textContent) : NaN
+            };
+        });
+    }
+
+    const geo = JSON.parse(trimmed);
+    const features = geo.type === 'FeatureCollection' ? (geo.features || [])
+        : geo.type === 'Feature' ? [geo]
+        : [{ type: 'Feature', geometry: geo, properties: {} }];
+    const line = features.find(f => f && f.geometry && ['LineString', 'MultiLineString'].includes(f.geometry.type));
+    if (!line) {
+        throw new Error('No LineString found in GeoJSON file.');
+    }
+    const times = (line.properties && (line.properties.coordTimes || line.properties.times)) || [];
+    const parts = line.geometry.type === 'LineString' ? [line.geometry.coordinates] : line.geometry.coordinates;
+    const points = [];
+    parts.forEach((part, partIndex) => {
+        const partTimes = line.geometry.type === 'MultiLineString' ? (times[partIndex] || []) : times;
+        part.forEach((coord, i) => {
+            points.push({ lat: coord[1], lon: coord[0], time: partTimes[i] ? Date.parse(partTimes[i]) : NaN });
+        });
+    });
+    return points;
+};
+
+// Turn parsed points into { points: [{ lat, lon, offset }], durationMs } where
+// offset is ms from the start. Uses recorded times when every point has one.
+const buildReplayRoute = (rawPoints, sport) => {
+    const points = rawPoints.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    if (points.length < 2) {
+        throw new Error('Route needs at least two points.');
+    }
+    const timed = points.every(p => Number.isFinite(p.time));
+    const speed = REPLAY_DEFAULT_SPEED_MPS[sport] || REPLAY_DEFAULT_SPEED_MPS.ski;
+    let offset = 0;
+    const route = points.map((p, i) => {
+        if (i > 0) {
+            const prev = points[i - 1];
+            const step = timed
+                ? p.time - prev.time
+                : distanceMeters(prev.lat, prev.lon, p.lat, p.lon) / speed * 1000;
+            offset += Math.max(0, step);
+        }
+        return { lat: p.lat, lon: p.lon, offset };
+    });
+    return { points: route, durationMs: offset, timed };
+};
+
+// Linearly interpolated position `offsetMs` into a replay route
+const routePositionAt = (route, offsetMs) => {
+    const points = route.points;
+    if (offsetMs <= 0) return { lat: points[0].lat, lon: points[0].lon };
+    for (let i = 1; i < points.length; i++) {
+        const b = points[i];
+        if (offsetMs <= b.offset) {
+            const a = points[i - 1];
+            const span = b.offset - a.offset;
+            const t = span > 0 ? (offsetMs - a.offset) / span : 1;
+            return { lat: a.lat + (b.lat - a.lat) * t, lon: a.lon + (b.lon - a.lon) * t };
+        }
+    }
+    const end = points[points.length - 1];
+    return { lat: end.lat, lon: end.lon };
+};
+
+// ---- Location sharing (privacy) ----
+// live: exact position; coarse: snapped to a ~500 m grid; paused: no coordinates
+// are published but we stay in the group and still see everyone else.
+const SHARING_MODES = {
+    live: { label: 'Live', icon: '🟢' },
+    coarse: { label: 'Coarse', icon: '🟡' },
+    paused: { label: 'Paused', icon: '⏸️' }
+};
+const COARSE_GRID_METERS = 500;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Snap a position to the center of its ~COARSE_GRID_METERS grid cell
+const coarsenLocation = (lat, lon) => {
+    const latStep = COARSE_GRID_METERS / METERS_PER_DEGREE_LAT;
+    const snappedLat = (Math.floor(lat / latStep) + 0.5) * latStep;
+    const lonStep = COARSE_GRID_METERS / (METERS_PER_DEGREE_LAT * Math.max(0.01, Math.cos(snappedLat * Math.PI / 180)));
+    const snappedLon = (Math.floor(lon / lonStep) + 0.5) * lonStep;
+    return { lat: snappedLat, lon: snappedLon };
+};
+
+// Private zones (home, hotel...) are circles kept only on this device. Inside
+// one we publish a coordinate-free "private" status instead of our position.
+const PRIVATE_ZONES_STORAGE_KEY = 'groupride.privateZones';
+const PRIVATE_ZONE_RADIUS_OPTIONS = [200, 500, 1000, 2000];
+
+const loadPrivateZones = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRIVATE_ZONES_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const savePrivateZones = (zones) => {
+    try {
+        localStorage.setItem(PRIVATE_ZONES_STORAGE_KEY, JSON.stringify(zones));
+    } catch (e) {
+        console.warn('[Zones] Could not persist private zones:', e);
+    }
+};
+
+// First zone `{ lat, lon, radius }` containing the point, or null
+const findPrivateZone = (zones, lat, lon) =>
+    zones.find(zone => distanceMeters(zone.lat, zone.lon, lat, lon) <= zone.radius) || null;
+
+// Member freshness. Ages are measured against server-corrected time so that
+// skewed device clocks don't produce nonsense. Members publish their profile's
+// heartbeat interval, and the thresholds stretch to a few missed heartbeats so
+// a saver-profile member standing still doesn't flap between live and stale.
+const MEMBER_STALE_MS = 60 * 1000;
+const MEMBER_LOST_MS = 5 * 60 * 1000;
+const MEMBER_STALE_HEARTBEATS = 2.5;
+const MEMBER_LOST_HEARTBEATS = 6;
+const FRESHNESS_TICK_MS = 5000;
+// Queued fixes older than this are written with their recorded time rather
+// than the server's arrival time
+const FRESH_FIX_MS = 10 * 1000;
+const MEMBER_FRESHNESS = {
+    live: { label: 'Live', icon: '🟢' },
+    stale: { label: 'Stale', icon: '🟠' },
+    lost: { label: 'Lost', icon: '🔴' }
+};
+
+const memberFreshness = (timestamp, now, heartbeatMs = 0) => {
+    const age = now - timestamp;
+    if (age > Math.max(MEMBER_LOST_MS, heartbeatMs * MEMBER_LOST_HEARTBEATS)) return 'lost';
+    if (age > Math.max(MEMBER_STALE_MS, heartbeatMs * MEMBER_STALE_HEARTBEATS)) return 'stale';
+    return 'live';
+};
+
+// "12s ago", "4m ago", "1h 5m ago"
+const formatDuration = (ms) => {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const formatAge = (ms) => `${formatDuration(ms)} ago`;
+
+// Last known group snapshots, cached per group so a reload with no signal
+// still shows where everyone was last seen
+const GROUP_CACHE_STORAGE_PREFIX = 'groupride.cache.';
+// Brief disconnects (including the initial connect) don't raise the banner
+const CONNECTION_LOST_GRACE_MS = 2000;
+
+const loadGroupCache = (code) => {
+    try {
+        return JSON.parse(localStorage.getItem(GROUP_CACHE_STORAGE_PREFIX + code) || 'null');
+    } catch (e) {
+        return null;
+    }
+};
+
+// Merge `patch` ({ locations } or { pins }) into the cached snapshot for a group
+const saveGroupCache = (code, patch) => {
+    try {
+        const cache = { ...(loadGroupCache(code) || {}), ...patch, savedAt: Date.now() };
+        localStorage.setItem(GROUP_CACHE_STORAGE_PREFIX + code, JSON.stringify(cache));
+    } catch (e) {
+        console.warn('[Cache] Could not persist group snapshot:', e);
+    }
+};
+
+// The group we're in (and who we are in it), so a reload with no signal goes
+// straight back to the map and its cached snapshot instead of the join screen
+const ACTIVE_SESSION_STORAGE_KEY = 'groupride.activeSession';
+
+const loadActiveSession = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ACTIVE_SESSION_STORAGE_KEY) || 'null');
+        return saved && saved.group && saved.username ? saved : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const saveActiveSession = (session) => {
+    try {
+        if (session) {
+            localStorage.setItem(ACTIVE_SESSION_STORAGE_KEY, JSON.stringify(session));
+        } else {
+            localStorage.removeItem(ACTIVE_SESSION_STORAGE_KEY);
+        }
+    } catch (e) {
+        console.warn('[Session] Could not persist active group:', e);
+    }
+};
+
+// Initial bearing in degrees (0 = north, clockwise) from point 1 to point 2
+const bearingDegrees = (lat1, lon1, lat2, lon2) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+        Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const compassPoint = (degrees) => COMPASS_POINTS[Math.round(degrees / 45) % 8];
+
+// "850 m" / "2.3 km"
+const formatDistance = (meters) => meters < 1000
+    ? `${Math.round(meters)} m`
+    : `${(meters / 1000).toFixed(meters < 10000 ? 1 : 0)} km`;
+
+// Ignore compass changes smaller than this to avoid re-rendering on sensor noise
+const COMPASS_MIN_CHANGE_DEGREES = 3;
+
+// ---- Session statistics ----
+// Each member computes their own stats from accepted fixes and publishes them
+// to groups/<code>/stats/<uid>. Altitude changes use hysteresis so GPS noise
+// doesn't accumulate into fake vertical.
+const STATS_PUBLISH_MS = 15000;
+const STATS_MIN_STEP_METERS = 2; // ignore jitter below this when summing distance
+const STATS_MAX_SPEED_GAP_MS = 60000; // don't derive speed across long gaps
+const ALTITUDE_HYSTERESIS_METERS = 5;
+const RUN_MIN_DESCENT_METERS = 30; // descent needed to count a run
+const RUN_RESET_CLIMB_METERS = 30; // climb (lift ride / hike) that ends a run
+
+const emptySessionStats = () => ({
+    currentSpeed: 0,
+    topSpeed: 0,
+    distance: 0,
+    descent: 0,
+    ascent: 0,
+    runs: 0,
+    last: null, // { lat, lon, time }
+    refAltitude: null,
+    runDescent: 0,
+    climb: 0,
+    inRun: false
+});
+
+// Fold one fix { lat, lon, altitude, speed, time } into the stats
+const updateSessionStats = (stats, fix, sport) => {
+    const next = { ...stats };
+    const maxSpeed = MAX_PLAUSIBLE_SPEED_MPS[sport] || MAX_PLAUSIBLE_SPEED_MPS.ski;
+    const last = stats.last;
+
+    // `last` only advances once we've moved a real step, so slow movement
+    // still adds up instead of being lost as jitter
+    const step = last ? distanceMeters(last.lat, last.lon, fix.lat, fix.lon) : 0;
+    const moved = !last || step >= STATS_MIN_STEP_METERS;
+    let speed = typeof fix.speed === 'number' && !isNaN(fix.speed) ? fix.speed : null;
+    if (speed === null && last) {
+        const dt = fix.time - last.time;
+        if (!moved) speed = 0;
+        else if (dt > 0 && dt <= STATS_MAX_SPEED_GAP_MS) speed = step / (dt / 1000);
+    }
+    if (speed !== null && speed <= maxSpeed) {
+        next.currentSpeed = speed;
+        next.topSpeed = Math.max(next.topSpeed, speed);
+    }
+    if (moved) {
+        if (last) next.distance += step;
+        next.last = { lat: fix.lat, lon: fix.lon, time: fix.time };
+    }
+
+    if (typeof fix.altitude === 'number' && !isNaN(fix.altitude)) {
+        if (next.refAltitude === null) {
+            next.refAltitude = fix.altitude;
+        } else {
+            const delta = fix.altitude - next.refAltitude;
+            if (delta <= -ALTITUDE_HYSTERESIS_METERS) {
+                next.descent += -delta;
+                next.runDescent += -delta;
+                next.climb = 0;
+                next.refAltitude = fix.altitude;
+                if (!next.inRun && next.runDescent >= RUN_MIN_DESCENT_METERS) {
+                    next.inRun = true;
+                    next.runs += 1;
+                }
+            } else if (delta >= ALTITUDE_HYSTERESIS_METERS) {
+                next.ascent += delta;
+                next.climb += delta;
+                next.refAltitude = fix.altitude;
+                if (next.climb >= RUN_RESET_CLIMB_METERS) {
+                    next.inRun = false;
+                    next.runDescent = 0;
+                }
+            }
+        }
+    }
+    return next;
+};
+
+// Public subset written to groups/<code>/stats/<uid>
+const publicSessionStats = (stats) => ({
+    currentSpeed: Math.round(stats.currentSpeed * 10) / 10,
+    topSpeed: Math.round(stats.topSpeed * 10) / 10,
+    distance: Math.round(stats.distance),
+    descent: Math.round(stats.descent),
+    ascent: Math.round(stats.ascent),
+    runs: stats.runs
+});
+
+const formatSpeed = (mps) => `${Math.round((mps || 0) * 3.6)} km/h`;
+
+// One-line summary for the members panel and marker popups
+const formatStatsSummary = (stats, sport) => [
+    formatSpeed(stats.currentSpeed),
+    `top ${formatSpeed(stats.topSpeed)}`,
+    formatDistance(stats.distance || 0),
+    `↓${stats.descent || 0} m ↑${stats.ascent || 0} m`,
+    `${stats.runs || 0} ${sport === 'bike' ? 'descents' : 'runs'}`
+].join(' · ');
+
+// ---- Lift / run detection ----
+// Lifts come from OSM `aerialway` ways fetched with the ski overlay. Members are
+// classified from their recent track against lift and piste geometry plus
+// vertical speed.
+const LIFT_AERIALWAY_TYPES = [
+    'cable_car', 'gondola', 'mixed_lift', 'chair_lift', 'drag_lift',
+    't-bar', 'j-bar', 'platter', 'rope_tow', 'magic_carpet'
+];
+const ACTIVITY_WINDOW_MS = 90 * 1000;
+const STOPPED_SPEED_MPS = 0.5;
+const VERTICAL_SPEED_THRESHOLD_MPS = 0.2;
+const LIFT_TOLERANCE_METERS = 30;
+const PISTE_TOLERANCE_METERS = 40;
+// Members within this distance of a loaded, named trail are reported as on it
+const TRAIL_SNAP_TOLERANCE_METERS = 50;
+
+// Project a point onto a polyline [[lat, lon], ...] using a flat projection
+// around the point (fine at trail scale). Returns { distance, along }: meters
+// from the line and meters from the line's start to the closest point.
+const projectOntoPolyline = (lat, lon, coords) => {
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    const project = ([pLat, pLon]) => [
+        (pLon - lon) * cosLat * METERS_PER_DEGREE_LAT,
+        (pLat - lat) * METERS_PER_DEGREE_LAT
+    ];
+    let best = { distance: Infinity, along: 0 };
+    let travelled = 0;
+    for (let i = 1; i < coords.length; i++) {
+        const [ax, ay] = project(coords[i - 1]);
+        const [bx, by] = project(coords[i]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+        const x = ax + t * dx;
+        const y = ay + t * dy;
+        const distance = Math.sqrt(x * x + y * y);
+        if (distance < best.distance) {
+            best = { distance, along: travelled + t * Math.sqrt(lengthSq) };
+        }
+        travelled += Math.sqrt(lengthSq);
+    }
+    return best;
+};
+
+// Distance in meters from a point to a polyline [[lat, lon], ...]
+const distanceToPolylineMeters = (lat, lon, coords) => projectOntoPolyline(lat, lon, coords).distance;
+
+// Closest trail of `kind` ('lift' | 'piste' | 'mtb', or null for any) within
+// `tolerance` meters. `trails` is [{ info, coords }]. Returns { info, distance } or null.
+const nearestTrail = (lat, lon, trails, kind, tolerance) => {
+    let best = null;
+    trails.forEach((trail) => {
+        if (kind && trail.info.kind !== kind) return;
+        const distance = distanceToPolylineMeters(lat, lon, trail.coords);
+        if (distance <= tolerance && (!best || distance < best.distance)) {
+            best = { info: trail.info, distance };
+        }
+    });
+    return best;
+};
+
+// Classify a member from their sorted track points:
+// { state: 'lift' | 'run' | 'stopped' | 'moving', name } or null when unknown
+const classifyActivity = (points, trails, now) => {
+    if (points.length < 2) return null;
+    const last = points[points.length - 1];
+    if (now - last.timestamp > MEMBER_STALE_MS) return null;
+    const recent = points.filter(p => last.timestamp - p.timestamp <= ACTIVITY_WINDOW_MS);
+    const first = recent[0];
+    const dt = (last.timestamp - first.timestamp) / 1000;
+    if (dt <= 0) return null;
+
+    const speed = distanceMeters(first.lat, first.lon, last.lat, last.lon) / dt;
+    const vertical = (typeof first.altitude === 'number' && typeof last.altitude === 'number')
+        ? (last.altitude - first.altitude) / dt
+        : null;
+    const lift = nearestTrail(last.lat, last.lon, trails, 'lift', LIFT_TOLERANCE_METERS);
+    const piste = nearestTrail(last.lat, last.lon, trails, 'piste', PISTE_TOLERANCE_METERS);
+
+    if (speed < STOPPED_SPEED_MPS && (vertical === null || Math.abs(vertical) < VERTICAL_SPEED_THRESHOLD_MPS)) {
+        return { state: 'stopped', name: null };
+    }
+    if (lift && (vertical === null || vertical > VERTICAL_SPEED_THRESHOLD_MPS)) {
+        return { state: 'lift', name: lift.info.name };
+    }
+    if (piste || (vertical !== null && vertical < -VERTICAL_SPEED_THRESHOLD_MPS)) {
+        return { state: 'run', name: piste ? piste.info.name : null };
+    }
+    return { state: 'moving', name: null };
+};
+
+const formatActivity = (activity) => {
+    if (!activity) return '';
+    if (activity.state === 'lift') return `on ${activity.name || 'a lift'}`;
+    if (activity.state === 'run') return activity.name ? `descending ${activity.name}` : 'descending';
+    return activity.state;
+};
+
+// ---- SOS lifecycle ----
+// An SOS alert moves open → acknowledged → enroute as responders react, and
+// stays until the sender or a responder marks it resolved/cancelled. Responders
+// live at alerts/<id>/responders/<uid> = { name, status, distance, eta, updatedAt }.
+// Only the closing statuses are stored; while open the status is derived from
+// the responders on read, so simultaneous responses can't downgrade it.
+const SOS_STATUSES = {
+    open: { label: 'Open', icon: '🆘' },
+    acknowledged: { label: 'Acknowledged', icon: '👍' },
+    enroute: { label: 'Help on the way', icon: '🏃' },
+    resolved: { label: 'Resolved', icon: '✅' },
+    cancelled: { label: 'Cancelled', icon: '✖️' }
+};
+const SOS_CLOSED_STATUSES = ['resolved', 'cancelled'];
+const SOS_ETA_PUBLISH_MS = 15 * 1000;
+// While an SOS is open the sender's every accepted fix moves the alert and
+// its pin; the breadcrumb at alerts/<id>/trail only gains a point after this
+// much movement or time so it stays small.
+const SOS_TRAIL_MIN_STEP_METERS = 5;
+const SOS_TRAIL_MAX_GAP_MS = 30 * 1000;
+// Assumed responder speed when they aren't moving yet (hiking/skating over)
+const SOS_DEFAULT_RESPONDER_SPEED_MPS = { ski: 3, bike: 4 };
+
+const isSosOpen = (alertData) => !!alertData && alertData.type === 'SOS'
+    && !SOS_CLOSED_STATUSES.includes(alertData.status || 'open');
+
+// Whether an alert carries a position (0 is a valid latitude/longitude)
+const hasAlertPosition = (alertData) => !!alertData
+    && typeof alertData.lat === 'number' && typeof alertData.lon === 'number';
+
+// Overall status implied by the responders' individual statuses
+const sosStatusFromResponders = (responders) => {
+    const statuses = Object.values(responders || {}).map(r => r.status);
+    if (statuses.includes('enroute')) return 'enroute';
+    if (statuses.includes('acknowledged')) return 'acknowledged';
+    return 'open';
+};
+
+const sosStatus = (alertData) => (SOS_CLOSED_STATUSES.includes(alertData.status)
+    ? alertData.status
+    : sosStatusFromResponders(alertData.responders));
+
+const estimateTravelMs = (distance, speed, sport) => {
+    const pace = speed && speed > 1 ? speed : (SOS_DEFAULT_RESPONDER_SPEED_MPS[sport] || SOS_DEFAULT_RESPONDER_SPEED_MPS.ski);
+    return (distance / pace) * 1000;
+};
+
+// ---- Pin types ----
+// `lifetimeMs: null` means the pin stays until someone removes it (stored
+// without `expiresAt`, which the pin cleanup function skips).
+const PIN_TYPES = {
+    regroup: { label: 'Regroup', icon: '🔁', color: '#479dc0', stroke: '#2d7a99', lifetimeMs: 60 * 60 * 1000 },
+    food: { label: 'Food', icon: '🍔', color: '#d99449', stroke: '#a86d2c', lifetimeMs: 2 * 60 * 60 * 1000 },
+    parking: { label: 'Parking', icon: '🅿️', color: '#4a508e', stroke: '#2d1b3d', lifetimeMs: null },
+    hazard: { label: 'Hazard', icon: '⚠️', color: '#f2c14e', stroke: '#b8912f', lifetimeMs: 4 * 60 * 60 * 1000 },
+    lift: { label: 'Lift', icon: '🚡', color: '#2d1b3d', stroke: '#000000', lifetimeMs: 60 * 60 * 1000 },
+    custom: { label: 'Custom', icon: '📍', color: '#e74c3c', stroke: '#c0392b', lifetimeMs: 30 * 60 * 1000 }
+};
+const DEFAULT_PIN_TYPE = 'custom';
+// A regroup pin with a meeting time outlives that time by this much by default
+const REGROUP_EXPIRY_GRACE_MS = 30 * 60 * 1000;
+// Lifetime overrides offered in the pin modal ('default' uses the type's)
+const PIN_LIFETIME_OPTIONS = [
+    { key: 'default', label: 'Type default' },
+    { key: '900000', label: '15 minutes' },
+    { key: '3600000', label: '1 hour' },
+    { key: '14400000', label: '4 hours' },
+    { key: 'never', label: 'Until removed' },
+    { key: 'at', label: 'At a set time…' }
+];
+
+const formatLifetime = (ms) => (ms === null ? 'until removed' : formatDuration(ms));
+
+// Next timestamp after `now` at local time "HH:MM"
+const nextTimeOfDay = (hhmm, now) => {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (date.getTime() <= now) date.setDate(date.getDate() + 1);
+    return date.getTime();
+};
+
+// When a pin's "HH:MM" falls: on or just after the day it was created (a
+// time up to an hour before creation still counts as that day)
+const pinMeetAt = (pinTime, createdAt) => (pinTime && createdAt
+    ? nextTimeOfDay(pinTime, createdAt - 60 * 60 * 1000)
+    : null);
+
+// Expiry timestamp for a new pin, or null for "until removed". By default a
+// regroup pin lasts until REGROUP_EXPIRY_GRACE_MS past its meeting time.
+const pinExpiresAt = (type, lifetime, expiresAtTime, now, pinTime) => {
+    if (lifetime === 'at' && expiresAtTime) return nextTimeOfDay(expiresAtTime, now);
+    if (lifetime === 'never') return null;
+    if (lifetime && lifetime !== 'default' && lifetime !== 'at') return now + Number(lifetime);
+    const lifetimeMs = (PIN_TYPES[type] || PIN_TYPES[DEFAULT_PIN_TYPE]).lifetimeMs;
+    if (lifetimeMs === null) return null;
+    const meetAt = type === 'regroup' ? pinMeetAt(pinTime, now) : null;
+    return Math.max(now + lifetimeMs, meetAt ? meetAt + REGROUP_EXPIRY_GRACE_MS : 0);
+};
+
+// ---- Regroup RSVPs ----
+// Regroup pins collect replies at pins/<id>/rsvp/<uid> = { name, status,
+// distance, eta, arrivedAt, updatedAt }. Members heading there keep their ETA
+// fresh and are marked arrived once inside the arrival radius.
+const REGROUP_STATUSES = {
+    coming: { label: 'On my way', icon: '🏃' },
+    declined: { label: "Can't make it", icon: '✖️' },
+    arrived: { label: 'Arrived', icon: '✅' }
+};
+const REGROUP_ARRIVAL_RADIUS_METERS = 50;
+const REGROUP_ETA_PUBLISH_MS = 30 * 1000;
+const REGROUP_REMINDER_LEAD_MS = 5 * 60 * 1000;
+
+const regroupMeetAt = (pin) => pinMeetAt(pin.pinTime, pin.createdAt);
+
+// ---- Emergency report ----
+// Everything patrol asks for on the phone, built from an SOS alert.
+const REPORT_NEARBY_METERS = 300;
+const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWXX';
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+const formatDms = (lat, lon) => {
+    const part = (value, positive, negative) => {
+        // Round to whole tenths of a second first so 59.95" carries into the minutes
+        const tenths = Math.round(Math.abs(value) * 36000);
+        const degrees = Math.floor(tenths / 36000);
+        const minutes = Math.floor((tenths % 36000) / 600);
+        const seconds = ((tenths % 600) / 10).toFixed(1);
+        return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.padStart(4, '0')}"${value >= 0 ? positive : negative}`;
+    };
+    return `${part(lat, 'N', 'S')} ${part(lon, 'E', 'W')}`;
+};
+
+// WGS84 lat/lon to UTM { zone, band, easting, northing } (valid 80°S–84°N),
+// including the Norway and Svalbard zone exceptions
+const toUtm = (lat, lon) => {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+
+    let zone = Math.floor((lon + 180) / 6) + 1;
+    if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) zone = 32;
+    if (lat >= 72 && lat < 84) {
+        if (lon >= 0 && lon < 9) zone = 31;
+        else if (lon >= 9 && lon < 21) zone = 33;
+        else if (lon >= 21 && lon < 33) zone = 35;
+        else if (lon >= 33 && lon < 42) zone = 37;
+    }
+    const lon0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+    const phi = lat * Math.PI / 180;
+    const lambda = lon * Math.PI / 180;
+
+    const N = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const T = Math.tan(phi) ** 2;
+    const C = ep2 * Math.cos(phi) ** 2;
+    const A = Math.cos(phi) * (lambda - lon0);
+    const M = a * (
+        (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+        - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+        + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+        - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi)
+    );
+
+    const easting = k0 * N * (A + (1 - T + C) * A ** 3 / 6
+        + (5 - 18 * T + T ** 2 + 72 * C - 58 * ep2) * A ** 5 / 120) + 500000;
+    let northing = k0 * (M + N * Math.tan(phi) * (A ** 2 / 2
+        + (5 - T + 9 * C + 4 * C ** 2) * A ** 4 / 24
+        + (61 - 58 * T + T ** 2 + 600 * C - 330 * ep2) * A ** 6 / 720));
+    if (lat < 0) northing += 10000000;
+
+    const band = UTM_BANDS[Math.max(0, Math.min(UTM_BANDS.length - 1, Math.floor((lat + 80) / 8)))];
+    return { zone, band, easting, northing };
+};
+
+const formatUtm = ({ zone, band, easting, northing }) =>
+    `${zone}${band} ${Math.floor(easting)}E ${Math.floor(northing)}N`;
+
+// MGRS at 1 m precision, e.g. "32TMS 12345 67890"
+const formatMgrs = ({ zone, band, easting, northing }) => {
+    const column = MGRS_COLUMN_SETS[(zone - 1) % 3][Math.floor(easting / 100000) - 1];
+    const row = MGRS_ROW_LETTERS[(Math.floor(northing / 100000) + (zone % 2 === 0 ? 5 : 0)) % 20];
+    const digits = (value) => String(Math.floor(value) % 100000).padStart(5, '0');
+    return `${zone}${band}${column}${row} ${digits(easting)} ${digits(northing)}`;
+};
+
+// Plain-text report; `trail` and `lift` are nearestTrail results or null
+const buildEmergencyReport = ({ name, lat, lon, accuracy, altitude, fixTime, trail, lift, trigger }) => {
+    const utm = toUtm(lat, lon);
+    const nearby = (entry) => entry
+        ? `${entry.info.name}${entry.info.difficulty && entry.info.kind !== 'lift' ? ` (${entry.info.difficulty})` : ''}, ~${Math.round(entry.distance)} m`
+        : 'none loaded nearby';
+    return [
+        `EMERGENCY - ${name}${trigger === 'crash' ? ' (crash detected)' : ''}`,
+        `Position: ${lat.toFixed(6)}, ${lon.toFixed(6)}${accuracy ? ` (±${Math.round(accuracy)} m)` : ''}`,
+        `DMS: ${formatDms(lat, lon)}`,
+        `UTM: ${formatUtm(utm)}`,
+        `MGRS: ${formatMgrs(utm)}`,
+        `Altitude: ${typeof altitude === 'number' ? `${Math.round(altitude)} m` : 'unknown'}`,
+        `Nearest trail: ${nearby(trail)}`,
+        `Nearest lift: ${nearby(lift)}`,
+        `Last fix: ${fixTime ? new Date(fixTime).toLocaleString() : 'unknown'}`
+    ].join('\n');
+};
+
+// ---- Inactivity alerts ----
+// A member whose live position stays within a small radius off-lift for longer
+// than the group's threshold raises a soft `INACTIVE` alert (distinct from SOS).
+// The threshold lives at groups/<code>/settings/inactivityMinutes; 0 disables it.
+const INACTIVITY_RADIUS_METERS = 25;
+const INACTIVITY_MINUTES_OPTIONS = [0, 10, 15, 20, 30, 45];
+const DEFAULT_INACTIVITY_MINUTES = 15;
+const inactivityAlertId = (userId) => `inactive_${userId}`;
+
+// Timestamp since which the sorted track `points` have stayed within `radius`
+// of the latest point, or null with no points
+const stationarySince = (points, radius) => {
+    if (!points.length) return null;
+    const last = points[points.length - 1];
+    let since = last.timestamp;
+    for (let i = points.length - 2; i >= 0; i--) {
+        if (distanceMeters(last.lat, last.lon, points[i].lat, points[i].lon) > radius) break;
+        since = points[i].timestamp;
+    }
+    return since;
+};
+
+// ---- Separation monitor ----
+// Members are measured against the centroid of the pack (outliers are peeled
+// off one at a time so a single straggler doesn't drag the center toward
+// themselves), or against a chosen anchor member. Settings live at
+// groups/<code>/settings/separationMeters (0 disables) and
+// settings/separationAnchor ('centroid' or a member uid).
+const SEPARATION_RADIUS_OPTIONS = [0, 250, 500, 1000, 2000];
+const DEFAULT_SEPARATION_METERS = 1000;
+const SEPARATION_CENTROID = 'centroid';
+
+const centroidOf = (points) => [
+    points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    points.reduce((sum, p) => sum + p.lon, 0) / points.length
+];
+
+// `positions` is { uid: { lat, lon } }. Returns [{ userId, distance, anchor: [lat, lon] }]
+// for members farther than `radius` from the anchor or pack.
+const findSeparatedMembers = (positions, anchorId, radius) => {
+    const ids = Object.keys(positions);
+    if (!radius || ids.length < 2) return [];
+    const distanceTo = (userId, anchor) => distanceMeters(positions[userId].lat, positions[userId].lon, anchor[0], anchor[1]);
+
+    if (anchorId !== SEPARATION_CENTROID) {
+        if (!positions[anchorId]) return [];
+        const anchor = [positions[anchorId].lat, positions[anchorId].lon];
+        return ids
+            .filter(userId => userId !== anchorId)
+            .map(userId => ({ userId, distance: distanceTo(userId, anchor), anchor }))
+            .filter(entry => entry.distance > radius);
+    }
+
+    // Peel off the worst outlier (vs. everyone else's centroid) until the rest fit
+    let pack = ids;
+    const outliers = [];
+    while (pack.length > 2) {
+        const worst = pack
+            .map(userId => ({
+                userId,
+                distance: distanceTo(userId, centroidOf(pack.filter(id => id !== userId).map(id => positions[id])))
+            }))
+            .reduce((a, b) => (b.distance > a.distance ? b : a));
+        if (worst.distance <= radius) break;
+        outliers.push(worst.userId);
+        pack = pack.filter(id => id !== worst.userId);
+    }
+
+    const packCenter = centroidOf(pack.map(id => positions[id]));
+    const separated = outliers.map(userId => ({ userId, distance: distanceTo(userId, packCenter), anchor: packCenter }));
+    // Two left that are still apart: neither is "the group", flag both
+    if (pack.length === 2) {
+        const [a, b] = pack;
+        const apart = distanceTo(a, [positions[b].lat, positions[b].lon]);
+        if (apart > radius) {
+            separated.push({ userId: a, distance: apart, anchor: [positions[b].lat, positions[b].lon] });
+            separated.push({ userId: b, distance: apart, anchor: [positions[a].lat, positions[a].lon] });
+        }
+    }
+    return separated;
+};
+
+// ---- Leader / sweep ----
+// The group owner assigns `role: 'leader' | 'sweep'` on groups/<code>/members/<uid>.
+// Along a pinned trail or loaded route, nobody should be ahead of the leader or
+// behind the sweep. The route's direction of travel is taken from the leader
+// and sweep order when both are on it, otherwise from the geometry.
+const MEMBER_ROLES = {
+    leader: { label: 'Leader', icon: '🚩' },
+    sweep: { label: 'Sweep', icon: '🧹' }
+};
+const ROUTE_TOLERANCE_METERS = 100;
+const ROLE_ORDER_MARGIN_METERS = 30;
+
+// `positions` is { uid: { lat, lon } }, `roles` is { leader, sweep } uids.
+// Returns [{ userId, kind: 'ahead' | 'behind', gap }].
+const findRoleViolations = (positions, roles, coords) => {
+    if (!coords || coords.length < 2) return [];
+    const progress = {};
+    Object.entries(positions).forEach(([userId, p]) => {
+        const projected = projectOntoPolyline(p.lat, p.lon, coords);
+        if (projected.distance <= ROUTE_TOLERANCE_METERS) progress[userId] = projected.along;
+    });
+    const leader = roles.leader in progress ? progress[roles.leader] : null;
+    const sweep = roles.sweep in progress ? progress[roles.sweep] : null;
+    if (leader === null && sweep === null) return [];
+    const direction = (leader !== null && sweep !== null && leader < sweep) ? -1 : 1;
+
+    const violations = [];
+    Object.entries(progress).forEach(([userId, along]) => {
+        if (userId === roles.leader || userId === roles.sweep) return;
+        if (leader !== null && direction * (along - leader) > ROLE_ORDER_MARGIN_METERS) {
+            violations.push({ userId, kind: 'ahead', gap: direction * (along - leader) });
+        } else if (sweep !== null && direction * (sweep - along) > ROLE_ORDER_MARGIN_METERS) {
+            violations.push({ userId, kind: 'behind', gap: direction * (sweep - along) });
+        }
+    });
+    return violations;
+};
+
+// ---- Crash detection ----
+// The detector itself lives in crash-detection.js (loaded before this file)
+// so it can be checked against recorded traces outside the browser.
+const CRASH_DETECTION_STORAGE_KEY = 'groupride.crashDetection';
+const CRASH_COUNTDOWN_SECONDS = 30;
+
+const loadCrashDetection = () => {
+    try {
+        return localStorage.getItem(CRASH_DETECTION_STORAGE_KEY) === 'on';
+    } catch (e) {
+        return false;
+    }
+};
+
+// Short tone for alarms and notifications; fails silently where audio is blocked
+const playAlarmBeep = (frequency = 880, duration = 0.25) => {
+    try {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtx) return;
+        const ctx = new AudioCtx();
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = frequency;
+        gain.gain.value = 0.3;
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+        osc.start();
+        osc.stop(ctx.currentTime + duration);
+        osc.onended = () => ctx.close();
+    } catch (e) {
+        console.warn('[Audio] Could not play tone:', e);
+    }
+};
+
+// ---- Notification center ----
+// Group events are appended to groups/<code>/feed by whoever caused them as
+// { type, text, userId, username, timestamp }. Each client keeps its own read
+// marker from the time it first joined, kept across leaving and rejoining, so
+// anything that arrived while it was away shows up as unread. The cleanupClosedAlerts function prunes old items.
+const FEED_TYPES = {
+    sos: { icon: '🆘', urgent: true },
+    sos_update: { icon: '🏃', urgent: false },
+    pin: { icon: '📍', urgent: false },
+    join: { icon: '👋', urgent: false },
+    leave: { icon: '🚪', urgent: false },
+    separation: { icon: '📏', urgent: true },
+    inactivity: { icon: '⚠️', urgent: true }
+};
+const FEED_LIMIT = 100;
+// A separation we already alerted on locally doesn't alert again when the
+// separated member's own feed event arrives (and vice versa)
+const SEPARATION_NOTIFY_DEDUPE_MS = 10 * 60 * 1000;
+const FEED_READ_STORAGE_PREFIX = 'groupride.feedRead.';
+const TOAST_DURATION_MS = 4000;
+
+const loadFeedReadAt = (code) => {
+    try {
+        return Number(localStorage.getItem(FEED_READ_STORAGE_PREFIX + code)) || 0;
+    } catch (e) {
+        return 0;
+    }
+};
+
+const saveFeedReadAt = (code, timestamp) => {
+    try {
+        localStorage.setItem(FEED_READ_STORAGE_PREFIX + code, String(timestamp));
+    } catch (e) {
+        // ignore storage failures
+    }
+};
+
+// Decide whether a fix should be written given the last published one.
+// `fix` and `last` are { lat, lon, time }.
+const shouldPublishFix = (fix, last, profile) => {
+    if (!last) return true;
+    const elapsed = fix.time - last.time;
+    if (elapsed < profile.minIntervalMs) return false;
+    if (elapsed >= profile.heartbeatMs) return true;
+    return distanceMeters(last.lat, last.lon, fix.lat, fix.lon) >= profile.minDistanceMeters;
+};
+
 function App() {
+    const [restoredSession] = useState(loadActiveSession); // group we were in before a reload, if any
     const [user, setUser] = useState(null);
     const [authInitializing, setAuthInitializing] = useState(true);
     const [groupCode, setGroupCode] = useState('');
-    const [currentGroup, setCurrentGroup] = useState(null);
-    const [username, setUsername] = useState('');
-    const [sport, setSport] = useState('ski');
+    const [currentGroup, setCurrentGroup] = useState(restoredSession ? restoredSession.group : null);
+    const [username, setUsername] = useState(restoredSession ? restoredSession.username : '');
+    const [sport, setSport] = useState(restoredSession ? restoredSession.sport : 'ski');
     const [groupMembers, setGroupMembers] = useState({});
     const [watchId, setWatchId] = useState(null); // geolocation watch id (if used)
-    const [simIntervalId, setSimIntervalId] = useState(null); // simulation interval id
+    const [simIntervalId, setSimIntervalId] = useState(null); // route replay interval id (set while playing)
+    const [simulating, setSimulating] = useState(false); // route replay active (playing or paused) - real GPS is off
+    const [simRoute, setSimRoute] = useState(null); // { name, points, durationMs, timed }
+    const [simSpeed, setSimSpeed] = useState(1); // replay speed multiplier
+    const [simLoop, setSimLoop] = useState(true);
+    const [simProgress, setSimProgress] = useState(0); // 0..1 through the route
+    const [showSimPanel, setShowSimPanel] = useState(false);
+    const [sharingMode, setSharingMode] = useState('live'); // key of SHARING_MODES
+    const [privateZones, setPrivateZones] = useState(loadPrivateZones); // [{ id, name, lat, lon, radius }]
+    const [inPrivateZone, setInPrivateZone] = useState(false);
+    const [showZonesModal, setShowZonesModal] = useState(false);
+    const [zoneName, setZoneName] = useState('');
+    const [zoneRadius, setZoneRadius] = useState(500);
+    const [clockNow, setClockNow] = useState(Date.now()); // ticking server-corrected clock
+    const [connected, setConnected] = useState(true); // RTDB connection (after a short grace period)
+    const [selectedMemberId, setSelectedMemberId] = useState(null); // "find my buddy" target
+    const [compassHeading, setCompassHeading] = useState(null); // device heading in degrees, if available
+    const [compassEnabled, setCompassEnabled] = useState(false);
+    const [groupStats, setGroupStats] = useState({}); // { uid: public session stats }
+    const [memberActivity, setMemberActivity] = useState({}); // { uid: classifyActivity result }
+    const [memberTrails, setMemberTrails] = useState({}); // { uid: trailInfo of nearest loaded trail }
     const [groupName, setGroupName] = useState(''); // name to create
     const [signingIn, setSigningIn] = useState(false); // prevent duplicate sign-in attempts
-    const [hasStarted, setHasStarted] = useState(false); // controls initial auth/login screen
+    const [hasStarted, setHasStarted] = useState(!!restoredSession); // controls initial auth/login screen
     // Derived validation helpers
     const isUsernameValid = (username && username.trim().length >= 2);
-    // Maximum acceptable accuracy (in meters). Relaxed to 100m to allow WiFi/cell positioning
-    // Most devices indoors or without GPS hardware (e.g., desktops) typically report 50-200m accuracy
-    // This ensures location tracking works on phones indoors and computers without GPS
-    const MAX_ACCEPTABLE_ACCURACY_METERS = 100; // Allow WiFi/cell positioning
-    const [currentGroupName, setCurrentGroupName] = useState(null); // name after join/create
+    const [currentGroupName, setCurrentGroupName] = useState(restoredSession ? restoredSession.groupName : null); // name after join/create
     const [showLocationPrompt, setShowLocationPrompt] = useState(false);
     const [locationError, setLocationError] = useState('');
     const [showLocationHelp, setShowLocationHelp] = useState(false);
@@ -48,15 +1246,85 @@ function App() {
     const [showPinModal, setShowPinModal] = useState(false);
     const [pendingPinLocation, setPendingPinLocation] = useState(null); // { lat, lng }
     const [pinLabel, setPinLabel] = useState(''); // HH:MM format
+    const [pinType, setPinType] = useState(DEFAULT_PIN_TYPE);
+    const [pinLifetime, setPinLifetime] = useState('default'); // PIN_LIFETIME_OPTIONS key
+    const [pinExpiryTime, setPinExpiryTime] = useState(''); // HH:MM when pinLifetime is 'at'
+    const lastRegroupPublishRef = useRef(0);
+    const remindedRegroupsRef = useRef(new Set()); // pin ids we've already reminded about
     const [pinTime, setPinTime] = useState(''); // HH:MM format
     const [selectedTrail, setSelectedTrail] = useState(null); // Store selected trail info
     const [trailsLoading, setTrailsLoading] = useState(false);
     const [showSkiTrails, setShowSkiTrails] = useState(false);
     const [showMtbTrails, setShowMtbTrails] = useState(false);
     const [groupAlerts, setGroupAlerts] = useState({});
+    const [inactivityMinutes, setInactivityMinutes] = useState(DEFAULT_INACTIVITY_MINUTES);
+    const [separationMeters, setSeparationMeters] = useState(DEFAULT_SEPARATION_METERS);
+    const [separationAnchor, setSeparationAnchor] = useState(SEPARATION_CENTROID);
+    const [separatedMembers, setSeparatedMembers] = useState([]); // findSeparatedMembers result
+    const [groupRoster, setGroupRoster] = useState({}); // groups/<code>/members: owner flag and roles
+    const [roleViolations, setRoleViolations] = useState({ route: null, violations: [] });
     const [showSosConfirm, setShowSosConfirm] = useState(false);
+    const [crashDetection, setCrashDetection] = useState(loadCrashDetection);
+    const [crashCountdown, setCrashCountdown] = useState(null); // seconds left, or null when idle
+    const [trackingProfile, setTrackingProfile] = useState(loadTrackingProfile); // key of TRACKING_PROFILES
+    const [lowPower, setLowPower] = useState(false); // stationary or tab hidden -> low-accuracy watch
+    const [groupTracks, setGroupTracks] = useState({}); // { uid: { timestamp: { lat, lon, timestamp } } }
+    const [trackWindow, setTrackWindow] = useState('5m'); // key of TRACK_WINDOWS
+    const [showExportModal, setShowExportModal] = useState(false);
+    const [exportScope, setExportScope] = useState('mine'); // 'mine' | 'group'
     const mapInstanceRef = useRef(null);
+    const watchIdRef = useRef(null); // mirrors watchId for callbacks with stale closures
+    const trackingProfileRef = useRef(trackingProfile);
+    const lowPowerRef = useRef(false);
+    const stationaryRef = useRef(false);
+    const lastPublishedFixRef = useRef(null); // { lat, lon, time } of last location write
+    const lastSharedDataRef = useRef(null); // the record we last wrote to locations/<uid>
+    const locationsLoadedRef = useRef(false); // groupMembers reflects the server, not just the cache
+    const lastMovedAtRef = useRef(Date.now());
+    const fixFilterRef = useRef(null); // smoothed position state from filterFix
+    const handleRawFixRef = useRef(null); // latest handleRawFix, for the watch and replay callbacks
+    const locationQueueRef = useRef(loadQueuedFixes()); // [{ group, uid, data }] awaiting flush
+    const flushingQueueRef = useRef(false);
+    const connectedRef = useRef(false); // mirrors .info/connected
+    const activeGroupRef = useRef(null); // current group for callbacks with stale closures
     const markersRef = useRef({});
+    const accuracyCirclesRef = useRef({}); // uncertainty circles around member markers
+    const trackLayersRef = useRef({}); // { uid: [polyline segments] }
+    const ownTrackKeysRef = useRef([]); // sorted keys of our own track points, for trimming
+    const sessionLogRef = useRef(null); // { startedAt, fixes, pins } since we joined the current group
+    const lastSessionLogSaveRef = useRef(0);
+    const simOffsetRef = useRef(0); // replay position in route ms
+    const simSpeedRef = useRef(1);
+    const simLoopRef = useRef(true);
+    const sharingModeRef = useRef('live');
+    const privateZonesRef = useRef(privateZones);
+    const inPrivateZoneRef = useRef(false);
+    const zoneLayersRef = useRef([]);
+    const serverTimeOffsetRef = useRef(0); // .info/serverTimeOffset (ms)
+    const lastOwnAltitudeRef = useRef(null); // meters, when the device reports it
+    const sessionStatsRef = useRef(emptySessionStats()); // our own running stats
+    const lastStatsPublishRef = useRef(0);
+    const groupStatsRef = useRef({}); // latest stats for marker popups
+    const crashDetectorRef = useRef(emptyCrashDetector());
+    const separatedIdsRef = useRef([]); // previously separated members, to notify on change only
+    const separationNotifiedAtRef = useRef({}); // userId -> when we last alerted about their separation
+    const rosterRef = useRef({}); // latest roster for marker styling
+    const roleViolationKeysRef = useRef([]); // previous `${uid}:${kind}` violations, to notify on change only
+    const lastEtaPublishRef = useRef(0);
+    const [feed, setFeed] = useState([]); // [{ id, type, text, userId, username, timestamp }], oldest first
+    const [feedReadAt, setFeedReadAt] = useState(0);
+    const [showFeed, setShowFeed] = useState(false);
+    const [toasts, setToasts] = useState([]); // [{ id, message, kind }]
+    const [reportAlertId, setReportAlertId] = useState(null); // SOS shown in the emergency report
+    const feedSeenIdsRef = useRef(null); // ids already notified; null until the first snapshot
+    const [ownSosAlertId, setOwnSosAlertId] = useState(null); // our open SOS, tracked live
+    const ownSosAlertRef = useRef(null); // { id, data } of our open SOS for the watch callback
+    const lastSosTrailPointRef = useRef(null);
+    const pendingSosTrailRef = useRef([]); // breadcrumb points not yet written to the alert
+    const sosPublishingRef = useRef(false); // a live SOS update is in flight
+    const sosPinSeenRef = useRef(false); // our SOS pin has existed, so a missing one was removed on purpose
+    const sosTrailLayersRef = useRef({});
+    const memberTrailsRef = useRef({}); // latest nearest trails for marker popups
     const pinMarkersRef = useRef({});
     const pinModeRef = useRef(false);
     const mapClickHandlerRef = useRef(null);
@@ -91,6 +1359,9 @@ function App() {
         return (user && user.uid) || (auth.currentUser && auth.currentUser.uid) || null;
     };
 
+    // Current time corrected to the Firebase server clock
+    const serverNow = () => Date.now() + serverTimeOffsetRef.current;
+
     // Ensure there's an anonymous signed-in user; returns the user object or null
     const ensureSignedIn = async () => {
         if (getUid()) return auth.currentUser || user;
@@ -158,12 +1429,13 @@ function App() {
             let query;
             
             if (trailType === 'ski') {
-                // Query ONLY for ski pistes
+                // Query ski pistes plus lifts (aerialways)
                 query = `
                     [out:json][timeout:60];
                     (
                       way["piste:type"]["piste:type"!="connection"](${south},${west},${north},${east});
                       relation["piste:type"]["piste:type"!="connection"](${south},${west},${north},${east});
+                      way["aerialway"](${south},${west},${north},${east});
                     );
                     out body;
                     >;
@@ -249,8 +1521,22 @@ function App() {
                         let trailTypeName = 'Trail';
                         let width = 4;
                         let isValid = false;
+                        let kind = trailType === 'ski' ? 'piste' : 'mtb';
+                        let dashArray = null;
                         
-                        if (trailType === 'ski') {
+                        if (trailType === 'ski' && tags['aerialway']) {
+                            // LIFT
+                            const aerialway = tags['aerialway'];
+                            if (!LIFT_AERIALWAY_TYPES.includes(aerialway)) {
+                                return; // Skip goods lines, zip lines, pylons etc.
+                            }
+                            isValid = true;
+                            kind = 'lift';
+                            trailTypeName = `Lift (${aerialway.replace(/_/g, ' ')})`;
+                            color = '#2d1b3d';
+                            width = 3;
+                            dashArray = '8 6';
+                        } else if (trailType === 'ski') {
                             // SKI TRAIL
                             const pisteType = tags['piste:type'];
                             if (!pisteType || pisteType === 'connection' || pisteType === 'skitour') {
@@ -315,6 +1601,7 @@ function App() {
                             color: color,
                             weight: width,
                             opacity: 0.7,
+                            dashArray: dashArray,
                             smoothFactor: 1
                         }).addTo(map);
                         // Store metadata for highlighting when pinned
@@ -329,7 +1616,7 @@ function App() {
                         trailsDrawn++;
                         
                         // Create popup with trail info
-                        const name = tags.name || tags.ref || 'Unnamed Trail';
+                        const name = tags.name || tags.ref || (kind === 'lift' ? 'Unnamed Lift' : 'Unnamed Trail');
                         const difficulty = tags['piste:difficulty'] || tags['mtb:scale'] || 'Unknown';
                         const description = tags.description || '';
                         
@@ -368,12 +1655,15 @@ function App() {
                         const trailInfo = {
                             id: el.id,
                             name: name,
+                            named: !!tags.name, // false when `name` is a ref or placeholder
                             type: trailTypeName,
                             difficulty: difficulty,
                             color: color,
                             description: description,
+                            kind: kind,
                             location: coords[Math.floor(coords.length / 2)] // Middle point of trail
                         };
+                        polyline.trailInfo = trailInfo; // used for member lift/run detection
                         
                         polyline.on('click', function(e) {
                             console.log('[Trail] Trail clicked:', trailInfo.name);
@@ -492,6 +1782,69 @@ function App() {
         initMapIfNeeded();
     }, [currentGroup]);
 
+    // Remember the active group across reloads, including our owner flag and
+    // role (tab-close cleanup removes our roster entry, so it can't be re-read).
+    // Leaving or signing out forgets it.
+    useEffect(() => {
+        if (!currentGroup) {
+            saveActiveSession(null);
+            return;
+        }
+        const previous = loadActiveSession();
+        const own = groupRoster[getUid()];
+        // While we're briefly missing from the roster (right after a reload)
+        // keep what we last knew
+        const member = own
+            ? { joinedAt: own.joinedAt || null, owner: !!own.owner, role: own.role || null }
+            : (previous && previous.group === currentGroup ? previous.member || null : null);
+        saveActiveSession({ group: currentGroup, groupName: currentGroupName, username, sport, member });
+    }, [currentGroup, currentGroupName, groupRoster]);
+
+    // After a reload into a restored group, re-register our membership once
+    // auth is back. Firebase holds the reads until we're online; a group that
+    // was deleted meanwhile sends us back to the join screen.
+    const restoredGroupRef = useRef(restoredSession ? restoredSession.group : null);
+    useEffect(() => {
+        const uid = user && user.uid;
+        if (!uid || !currentGroup || restoredGroupRef.current !== currentGroup) return;
+        restoredGroupRef.current = null;
+        const code = currentGroup;
+        const saved = (loadActiveSession() || {}).member || {};
+
+        const rejoin = async () => {
+            const groupSnap = await database.ref(`groups/${code}`).orderByKey().limitToFirst(1).once('value');
+            if (!groupSnap.exists()) {
+                console.log('[Session] Restored group no longer exists:', code);
+                showToast(`Group ${code} no longer exists.`, 'error');
+                stopLocationTracking();
+                resetGroupView();
+                return;
+            }
+            console.log('[Session] Rejoining restored group', code);
+            const rosterSnap = await database.ref(`groups/${code}/members`).once('value');
+            const roster = rosterSnap.val() || {};
+            const member = {
+                name: username,
+                sport: sport,
+                sharing: sharingMode,
+                joinedAt: saved.joinedAt || Date.now()
+            };
+            if (saved.owner) member.owner = true;
+            // The owner may have handed our role to someone else while we were away
+            if (saved.role && !Object.entries(roster).some(([id, m]) => id !== uid && m && m.role === saved.role)) {
+                member.role = saved.role;
+            }
+            await database.ref(`groups/${code}/members/${uid}`).update(member);
+            postFeedEvent(code, 'join', `${username} is back`, uid);
+            await database.ref(`groups/${code}/members/${uid}`).onDisconnect().remove();
+            await database.ref(`groups/${code}/locations/${uid}`).onDisconnect().remove();
+        };
+        rejoin().catch((e) => {
+            console.error('[Session] Could not rejoin restored group:', e);
+            showToast(`Could not rejoin ${code}: ${e.message}`, 'error');
+        });
+    }, [user, currentGroup]);
+
     // Auto-apply trails based on selected sport when the map is ready
     useEffect(() => {
         if (!mapInstanceRef.current) return;
@@ -578,6 +1931,8 @@ function App() {
                 // Pin mode
                 setPendingPinLocation({ lat: e.latlng.lat, lng: e.latlng.lng });
                 setPinLabel('');
+                setPinType(DEFAULT_PIN_TYPE);
+                setPinLifetime('default');
                 const now = new Date();
                 const hours = String(now.getHours()).padStart(2, '0');
                 const minutes = String(now.getMinutes()).padStart(2, '0');
@@ -624,6 +1979,7 @@ function App() {
     useEffect(() => {
         if (!currentGroup || !user) return;
         const handleBeforeUnload = () => {
+            persistSessionLog(true);
             try {
                 // Attempt immediate removals; onDisconnect already queued
                 const uid = getUid();
@@ -639,91 +1995,1100 @@ function App() {
         return () => window.removeEventListener('beforeunload', handleBeforeUnload);
     }, [currentGroup, user]);
 
-    // Listen to group location updates
+    // Track the server clock offset and tick a clock for "last seen" ages
     useEffect(() => {
-        if (!currentGroup) return;
+        const offsetRef = database.ref('.info/serverTimeOffset');
+        const handler = offsetRef.on('value', (snapshot) => {
+            serverTimeOffsetRef.current = snapshot.val() || 0;
+            setClockNow(serverNow());
+        });
+        const interval = setInterval(() => setClockNow(serverNow()), FRESHNESS_TICK_MS);
+        return () => {
+            offsetRef.off('value', handler);
+            clearInterval(interval);
+        };
+    }, []);
 
-        const locationsRef = database.ref(`groups/${currentGroup}/locations`);
+    // Grey out or badge member markers as they go stale or get lost
+    useEffect(() => {
+        Object.entries(markersRef.current).forEach(([userId, marker]) => {
+            const data = groupMembers[userId];
+            if (data && data.timestamp) applyMarkerFreshness(marker, data, clockNow);
+        });
+    }, [clockNow, groupMembers]);
+
+    // Toggle stale/lost classes on a member marker's element
+    const applyMarkerFreshness = (marker, data, now) => {
+        const el = marker.getElement();
+        if (!el) return;
+        const freshness = memberFreshness(data.timestamp, now, data.heartbeat);
+        el.classList.toggle('member-stale', freshness === 'stale');
+        el.classList.toggle('member-lost', freshness === 'lost');
+    };
+
+    // Popup content for a member marker
+    const memberPopupHtml = (userId, data) => {
+        const stats = groupStatsRef.current[userId];
+        const trail = memberTrailsRef.current[userId];
+        const role = MEMBER_ROLES[(rosterRef.current[userId] || {}).role];
+        return `
+            <strong>${data.name}</strong><br>
+            ${role ? `${role.icon} ${role.label}<br>` : ''}
+            Sport: ${data.sport}<br>
+            ${trail ? `On: <span style="color: ${trail.color};">${trail.name}</span> (${trail.difficulty})<br>` : ''}
+            ${data.sharing === 'coarse' ? 'Approximate location (~500 m)<br>' : data.accuracy ? `Accuracy: ±${data.accuracy}m<br>` : ''}
+            ${stats ? `${formatStatsSummary(stats, data.sport)}<br>` : ''}
+            Last update: ${new Date(data.timestamp).toLocaleTimeString()}
+        `;
+    };
+
+    // Rebuild open/closed member popups without redrawing markers
+    const refreshMemberPopups = () => {
+        Object.entries(markersRef.current).forEach(([userId, marker]) => {
+            if (marker._memberData) marker.setPopupContent(memberPopupHtml(userId, marker._memberData));
+        });
+    };
+
+    // Draw member markers (and accuracy circles) for a locations snapshot
+    const renderMemberMarkers = (locations) => {
+        if (!mapInstanceRef.current) return;
+
+        // Clear old markers
+        Object.values(markersRef.current).forEach(marker => marker.remove());
+        markersRef.current = {};
+        Object.values(accuracyCirclesRef.current).forEach(circle => circle.remove());
+        accuracyCirclesRef.current = {};
+        
+        // Add new markers
+        Object.entries(locations).forEach(([userId, data]) => {
+            if (data.lat && data.lon) {
+                // Generate a unique color for each user based on their ID
+                const userColor = memberColor(userId);
+                const role = (rosterRef.current[userId] || {}).role;
+                const icon = L.divIcon({
+                    className: 'custom-marker',
+                    html: `<div class="marker-user${MEMBER_ROLES[role] ? ` role-${role}` : ''}" style="--marker-color: ${userColor}">
+                              <div class="marker-label">${data.name}</div>
+                           </div>`,
+                    iconSize: [44, 56],
+                    iconAnchor: [22, 56],
+                    popupAnchor: [0, -56]
+                });
+                
+                // Uncertainty circle from the sender's smoothed accuracy
+                if (data.accuracy) {
+                    accuracyCirclesRef.current[userId] = L.circle([data.lat, data.lon], {
+                        radius: data.accuracy,
+                        color: userColor,
+                        weight: 1,
+                        opacity: 0.6,
+                        fillColor: userColor,
+                        fillOpacity: 0.12,
+                        interactive: false
+                    }).addTo(mapInstanceRef.current);
+                }
+
+                const marker = L.marker([data.lat, data.lon], { icon })
+                    .addTo(mapInstanceRef.current);
+                if (data.timestamp) applyMarkerFreshness(marker, data, serverNow());
+                
+                marker._memberData = data;
+                marker.bindPopup(memberPopupHtml(userId, data));
+                
+                markersRef.current[userId] = marker;
+            }
+        });
+    };
+
+    // Seed members and pins from the local cache so the map isn't empty while
+    // offline; the live listeners below replace this once data arrives
+    useEffect(() => {
+        if (!currentGroup) return;
+        const cache = loadGroupCache(currentGroup);
+        if (!cache) return;
+        console.log('[Cache] Showing last known group snapshot from', new Date(cache.savedAt).toLocaleTimeString());
+        if (cache.locations) {
+            setGroupMembers(cache.locations);
+            renderMemberMarkers(cache.locations);
+        }
+        if (cache.pins) {
+            const now = Date.now();
+            const livePins = Object.fromEntries(Object.entries(cache.pins)
+                .filter(([_, pin]) => !pin.expiresAt || pin.expiresAt > now));
+            setGroupPins(livePins);
+            renderPinMarkers(livePins);
+        }
+    }, [currentGroup]);
+
+    // Follow the device compass while the buddy panel is open
+    useEffect(() => {
+        if (!selectedMemberId || !compassEnabled || !('DeviceOrientationEvent' in window)) return;
+        const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        const handleOrientation = (e) => {
+            let heading = null;
+            if (typeof e.webkitCompassHeading === 'number') {
+                heading = e.webkitCompassHeading; // iOS: already clockwise from north
+            } else if (typeof e.alpha === 'number' && (e.absolute || eventName === 'deviceorientationabsolute')) {
+                heading = (360 - e.alpha) % 360;
+            }
+            if (heading === null) return;
+            setCompassHeading(prev => (prev === null || Math.abs(prev - heading) >= COMPASS_MIN_CHANGE_DEGREES) ? heading : prev);
+        };
+        window.addEventListener(eventName, handleOrientation);
+        return () => {
+            window.removeEventListener(eventName, handleOrientation);
+            setCompassHeading(null);
+        };
+    }, [selectedMemberId, compassEnabled]);
+
+    // iOS requires an explicit permission request from a user gesture
+    const enableCompass = async () => {
+        try {
+            if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+                const result = await DeviceOrientationEvent.requestPermission();
+                if (result !== 'granted') {
+                    showToast('Compass access was denied.', 'error');
+                    return;
+                }
+            }
+            setCompassEnabled(true);
+        } catch (e) {
+            console.warn('[Compass] Permission request failed:', e);
+        }
+    };
+
+    // Crash detection opt-in; iOS needs an explicit motion permission
+    const toggleCrashDetection = async () => {
+        if (crashDetection) {
+            setCrashDetection(false);
+            return;
+        }
+        try {
+            if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+                const result = await DeviceMotionEvent.requestPermission();
+                if (result !== 'granted') {
+                    showToast('Motion sensor access was denied.', 'error');
+                    return;
+                }
+            }
+            setCrashDetection(true);
+        } catch (e) {
+            console.warn('[Crash] Permission request failed:', e);
+        }
+    };
+
+    // Persist the crash detection setting
+    useEffect(() => {
+        try {
+            localStorage.setItem(CRASH_DETECTION_STORAGE_KEY, crashDetection ? 'on' : 'off');
+        } catch (e) {
+            // ignore storage failures
+        }
+    }, [crashDetection]);
+
+    // Watch device motion for an impact followed by stillness
+    useEffect(() => {
+        if (!crashDetection || !currentGroup) return;
+        crashDetectorRef.current = emptyCrashDetector();
+
+        const handleMotion = (event) => {
+            const a = event.accelerationIncludingGravity;
+            if (!a || a.x === null) return;
+            const result = updateCrashDetector(crashDetectorRef.current, {
+                time: Date.now(), x: a.x, y: a.y || 0, z: a.z || 0
+            });
+            crashDetectorRef.current = result.state;
+            if (result.triggered) {
+                console.log('[Crash] Impact followed by stillness detected');
+                setCrashCountdown(prev => (prev === null ? CRASH_COUNTDOWN_SECONDS : prev));
+            }
+        };
+
+        window.addEventListener('devicemotion', handleMotion);
+        return () => window.removeEventListener('devicemotion', handleMotion);
+    }, [crashDetection, currentGroup]);
+
+    // "Are you OK?" countdown: beep and vibrate every second, then send SOS
+    useEffect(() => {
+        if (crashCountdown === null) return;
+        if (crashCountdown <= 0) {
+            setCrashCountdown(null);
+            handleSOS({ trigger: 'crash' });
+            return;
+        }
+        playAlarmBeep();
+        if (navigator.vibrate) navigator.vibrate(400);
+        const timer = setTimeout(() => setCrashCountdown(prev => (prev === null ? null : prev - 1)), 1000);
+        return () => clearTimeout(timer);
+    }, [crashCountdown]);
+
+    // Listen to group location updates
+    useEffect(() => {
+        if (!currentGroup) return;
+
+        const locationsRef = database.ref(`groups/${currentGroup}/locations`);
+        locationsLoadedRef.current = false;
         
         locationsRef.on('value', (snapshot) => {
             const locations = snapshot.val() || {};
+            locationsLoadedRef.current = true;
             setGroupMembers(locations);
+            saveGroupCache(currentGroup, { locations });
             
-            // Update markers on map
-            if (mapInstanceRef.current) {
-                // Clear old markers
-                Object.values(markersRef.current).forEach(marker => marker.remove());
-                markersRef.current = {};
-                
-                // Add new markers
-                Object.entries(locations).forEach(([userId, data]) => {
-                    if (data.lat && data.lon) {
-                        // Generate a unique color for each user based on their ID
-                        const hue = (parseInt(userId.charCodeAt(0)) * 137.5) % 360; // Use golden angle for color distribution
-                        const userColor = `hsl(${hue}, 70%, 50%)`;
-                        const icon = L.divIcon({
-                            className: 'custom-marker',
-                            html: `<div class="marker-user" style="--marker-color: ${userColor}">
-                                      <div class="marker-label">${data.name}</div>
-                                   </div>`,
-                            iconSize: [44, 56],
-                            iconAnchor: [22, 56],
-                            popupAnchor: [0, -56]
-                        });
-                        
-                        const marker = L.marker([data.lat, data.lon], { icon })
-                            .addTo(mapInstanceRef.current);
-                        
-                        marker.bindPopup(`
-                            <strong>${data.name}</strong><br>
-                            Sport: ${data.sport}<br>
-                            Last update: ${new Date(data.timestamp).toLocaleTimeString()}
-                        `);
-                        
-                        markersRef.current[userId] = marker;
-                    }
+            renderMemberMarkers(locations);
+        });
+
+        return () => locationsRef.off();
+    }, [currentGroup]);
+
+    // Listen to the member roster (owner flag and leader/sweep roles)
+    useEffect(() => {
+        if (!currentGroup) return;
+
+        const membersRef = database.ref(`groups/${currentGroup}/members`);
+        membersRef.on('value', (snapshot) => {
+            const roster = snapshot.val() || {};
+            rosterRef.current = roster;
+            setGroupRoster(roster);
+        });
+
+        return () => membersRef.off();
+    }, [currentGroup]);
+
+    // Restyle markers when roles change
+    useEffect(() => {
+        renderMemberMarkers(groupMembers);
+    }, [groupRoster]);
+
+    // Owner only: give `role` to one member, taking it from whoever had it
+    const handleAssignRole = (userId, role) => {
+        if (!currentGroup) return;
+        const updates = {};
+        Object.entries(groupRoster).forEach(([id, member]) => {
+            if (role && id !== userId && member.role === role) updates[`${id}/role`] = null;
+        });
+        updates[`${userId}/role`] = role || null;
+        database.ref(`groups/${currentGroup}/members`).update(updates);
+    };
+
+    // Geometry of the trail/lift overlays currently on the map: [{ info, coords }]
+    const loadedTrailGeometry = () => {
+        const map = mapInstanceRef.current;
+        if (!map) return [];
+        return Object.values(trailLayersMapRef.current || {})
+            .filter(layer => layer && layer.trailInfo && map.hasLayer(layer))
+            .map(layer => ({
+                info: layer.trailInfo,
+                coords: layer.getLatLngs().map(ll => [ll.lat, ll.lng])
+            }));
+    };
+
+    // Classify each member as on a lift, on a run or stopped from their track.
+    // Coarse positions are too imprecise to name a lift or run, so coarse
+    // members and grid-snapped points from coarse stretches are left out.
+    useEffect(() => {
+        const trails = loadedTrailGeometry();
+        const activity = {};
+        Object.entries(groupTracks).forEach(([userId, points]) => {
+            if ((groupMembers[userId] || {}).sharing === 'coarse') return;
+            const precise = sortedTrackPoints(points)
+                .filter(p => typeof p.accuracy !== 'number' || p.accuracy < COARSE_GRID_METERS);
+            const result = classifyActivity(precise, trails, clockNow);
+            if (result) activity[userId] = result;
+        });
+        setMemberActivity(activity);
+    }, [groupTracks, groupMembers, clockNow]);
+
+    // Snap each member to the nearest loaded, named (non-lift) trail within tolerance
+    useEffect(() => {
+        const trails = loadedTrailGeometry().filter(trail => trail.info.kind !== 'lift' && trail.info.named);
+        const snapped = {};
+        Object.entries(groupMembers).forEach(([userId, data]) => {
+            // Coarse positions are too imprecise to name a trail
+            if (!data.lat || !data.lon || data.sharing === 'coarse') return;
+            const nearest = nearestTrail(data.lat, data.lon, trails, null, TRAIL_SNAP_TOLERANCE_METERS);
+            if (nearest) snapped[userId] = nearest.info;
+        });
+        memberTrailsRef.current = snapped;
+        setMemberTrails(snapped);
+        refreshMemberPopups();
+    }, [groupMembers, trailsLoading, showSkiTrails, showMtbTrails]);
+
+    // Listen to member session stats
+    useEffect(() => {
+        if (!currentGroup) return;
+
+        const statsRef = database.ref(`groups/${currentGroup}/stats`);
+
+        statsRef.on('value', (snapshot) => {
+            const stats = snapshot.val() || {};
+            groupStatsRef.current = stats;
+            setGroupStats(stats);
+            refreshMemberPopups();
+        });
+
+        return () => statsRef.off();
+    }, [currentGroup]);
+
+    // Write our session stats for the group
+    const publishSessionStats = () => {
+        const uid = getUid();
+        const group = activeGroupRef.current;
+        if (!uid || !group) return;
+        database.ref(`groups/${group}/stats/${uid}`).set({
+            ...publicSessionStats(sessionStatsRef.current),
+            updatedAt: firebase.database.ServerValue.TIMESTAMP
+        }).catch(e => console.warn('[Stats] Could not publish session stats:', e));
+    };
+
+    // Listen to member breadcrumb tracks
+    useEffect(() => {
+        if (!currentGroup) return;
+
+        const tracksRef = database.ref(`groups/${currentGroup}/tracks`);
+
+        tracksRef.on('value', (snapshot) => {
+            const tracks = snapshot.val() || {};
+            setGroupTracks(tracks);
+            const uid = getUid();
+            if (uid) {
+                ownTrackKeysRef.current = Object.keys(tracks[uid] || {}).sort();
+            }
+        });
+
+        return () => tracksRef.off();
+    }, [currentGroup]);
+
+    // Draw tracks as fading polylines in each member's marker color
+    useEffect(() => {
+        Object.values(trackLayersRef.current).forEach(layers => layers.forEach(layer => layer.remove()));
+        trackLayersRef.current = {};
+
+        const map = mapInstanceRef.current;
+        const windowMs = (TRACK_WINDOWS[trackWindow] || TRACK_WINDOWS.off).ms;
+        if (!map || !windowMs) return;
+
+        const cutoff = Date.now() - windowMs;
+        Object.entries(groupTracks).forEach(([userId, points]) => {
+            const coords = Object.values(points || {})
+                .filter(p => p && p.lat && p.lon && p.timestamp >= cutoff)
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .map(p => [p.lat, p.lon]);
+            const color = memberColor(userId);
+            trackLayersRef.current[userId] = fadingTrailSegments(coords).map(segment =>
+                L.polyline(segment.coords, {
+                    color: color,
+                    weight: 4,
+                    opacity: segment.opacity,
+                    interactive: false
+                }).addTo(map)
+            );
+        });
+    }, [groupTracks, trackWindow, currentGroup]);
+
+    // Transient in-app message in place of a blocking alert()
+    const showToast = (message, kind = 'info') => {
+        const id = `${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+        setToasts(prev => [...prev, { id, message, kind }]);
+        setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), TOAST_DURATION_MS);
+    };
+
+    // Toast, sound and vibration; a system notification only when the app is
+    // in the background (the in-app feed covers the foreground)
+    const notify = ({ icon, text, urgent }) => {
+        showToast(`${icon} ${text}`, urgent ? 'urgent' : 'info');
+        playAlarmBeep(urgent ? 880 : 660, urgent ? 0.4 : 0.15);
+        if (navigator.vibrate) navigator.vibrate(urgent ? [400, 200, 400] : 150);
+        if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification(`${icon} ${text}`, { requireInteraction: urgent });
+        }
+    };
+
+    // Append an event to a group's feed. `group` is passed explicitly because
+    // join/create post before currentGroup has committed.
+    const postFeedEvent = (group, type, text, userId = getUid(), name = username) => {
+        if (!group) return;
+        database.ref(`groups/${group}/feed`).push({
+            type,
+            text,
+            userId,
+            username: name,
+            timestamp: firebase.database.ServerValue.TIMESTAMP
+        }).catch(e => console.warn('[Feed] Could not post event:', e));
+    };
+
+    // Listen to the group feed. The first snapshot replays anything that
+    // arrived since we last read it; later items notify as they come in.
+    useEffect(() => {
+        if (!currentGroup) return;
+        // A first visit starts reading from now rather than replaying the
+        // group's history as "missed"
+        let readAt = loadFeedReadAt(currentGroup);
+        if (!readAt) {
+            readAt = serverNow();
+            saveFeedReadAt(currentGroup, readAt);
+        }
+        setFeedReadAt(readAt);
+        feedSeenIdsRef.current = null;
+
+        // Ordered by time, not key: keys aren't guaranteed to be push ids
+        const feedRef = database.ref(`groups/${currentGroup}/feed`).orderByChild('timestamp').limitToLast(FEED_LIMIT);
+        feedRef.on('value', (snapshot) => {
+            const items = Object.entries(snapshot.val() || {})
+                .map(([id, item]) => ({ id, ...item }))
+                .filter(item => item.timestamp)
+                .sort((a, b) => a.timestamp - b.timestamp);
+            setFeed(items);
+
+            const uid = getUid();
+            const seen = feedSeenIdsRef.current;
+            if (seen === null) {
+                const missed = items.filter(item => item.userId !== uid && item.timestamp > loadFeedReadAt(currentGroup));
+                if (missed.length) {
+                    console.log('[Feed] Replaying', missed.length, 'missed notifications');
+                    setShowFeed(true);
+                    if (missed.some(item => (FEED_TYPES[item.type] || {}).urgent)) playAlarmBeep(880, 0.4);
+                }
+            } else {
+                items
+                    .filter(item => !seen.has(item.id) && item.userId !== uid)
+                    .filter(item => item.type !== 'separation' || claimSeparationNotice(item.userId))
+                    .forEach(item => notify({ ...(FEED_TYPES[item.type] || FEED_TYPES.pin), text: item.text }));
+            }
+            feedSeenIdsRef.current = new Set(items.map(item => item.id));
+        });
+
+        return () => feedRef.off();
+    }, [currentGroup]);
+
+    // Closing the tab or dropping off the network never reaches
+    // handleLeaveGroup, so the server posts a leave event for us instead.
+    // Re-armed on every reconnect; leaving the group normally cancels it.
+    useEffect(() => {
+        const uid = user && user.uid;
+        if (!currentGroup || !uid) return;
+        const group = currentGroup;
+        let leaveRef = null;
+        const connectedInfoRef = database.ref('.info/connected');
+        const handler = connectedInfoRef.on('value', (snapshot) => {
+            if (snapshot.val() !== true) return;
+            leaveRef = database.ref(`groups/${group}/feed`).push();
+            leaveRef.onDisconnect().set({
+                type: 'leave',
+                text: `${username} disconnected`,
+                userId: uid,
+                username: username,
+                timestamp: firebase.database.ServerValue.TIMESTAMP
+            });
+        });
+        return () => {
+            connectedInfoRef.off('value', handler);
+            if (leaveRef) leaveRef.onDisconnect().cancel();
+        };
+    }, [currentGroup, user]);
+
+    // Opening the feed marks everything in it as read
+    useEffect(() => {
+        if (!showFeed || !currentGroup || !feed.length) return;
+        const newest = feed[feed.length - 1].timestamp;
+        if (newest > feedReadAt) {
+            saveFeedReadAt(currentGroup, newest);
+            setFeedReadAt(newest);
+        }
+    }, [showFeed, feed]);
+
+    // Listen to SOS alerts
+    useEffect(() => {
+        if (!currentGroup) return;
+
+        const alertsRef = database.ref(`groups/${currentGroup}/alerts`);
+        
+        alertsRef.on('value', (snapshot) => {
+            const alerts = snapshot.val() || {};
+            setGroupAlerts(alerts);
+            
+            // Buzz the affected member when an inactivity alert is raised for
+            // them; everyone else hears about alerts through the feed
+            const now = Date.now();
+            Object.values(alerts).forEach((data) => {
+                if (data.type === 'INACTIVE' && data.userId === getUid() && !data.dismissed
+                    && data.timestamp && now - data.timestamp < 30000 && navigator.vibrate) {
+                    navigator.vibrate([300, 200, 300]);
+                }
+            });
+        });
+
+        return () => alertsRef.off();
+    }, [currentGroup, user]);
+
+    // Track our own open SOS so fixes can follow it live
+    useEffect(() => {
+        const uid = getUid();
+        const entry = Object.entries(groupAlerts).find(([, alertData]) => alertData.userId === uid && isSosOpen(alertData));
+        ownSosAlertRef.current = entry ? { id: entry[0], data: entry[1] } : null;
+        const id = entry ? entry[0] : null;
+        if (id !== ownSosAlertId) {
+            lastSosTrailPointRef.current = null;
+            pendingSosTrailRef.current = [];
+            sosPinSeenRef.current = false;
+            setOwnSosAlertId(id);
+        }
+    }, [groupAlerts]);
+
+    // Draw the breadcrumb of every open SOS since it fired
+    useEffect(() => {
+        Object.values(sosTrailLayersRef.current).forEach(layer => layer.remove());
+        sosTrailLayersRef.current = {};
+        const map = mapInstanceRef.current;
+        if (!map) return;
+        Object.entries(groupAlerts).forEach(([alertId, alertData]) => {
+            if (!isSosOpen(alertData) || !alertData.trail) return;
+            const coords = sortedTrackPoints(alertData.trail).map(p => [p.lat, p.lon]);
+            if (coords.length < 2) return;
+            sosTrailLayersRef.current[alertId] = L.polyline(coords, {
+                color: '#ff0000',
+                weight: 4,
+                opacity: 0.8,
+                dashArray: '6, 6',
+                interactive: false
+            }).addTo(map);
+        });
+    }, [groupAlerts]);
+
+    // Respond to an SOS as `status` ('acknowledged' | 'enroute')
+    const handleSosRespond = (alertId, status) => {
+        const uid = getUid();
+        const alertData = groupAlerts[alertId];
+        if (!currentGroup || !uid || !isSosOpen(alertData)) return;
+        const responder = { name: username, status, updatedAt: firebase.database.ServerValue.TIMESTAMP };
+        const own = lastOwnLocationRef.current;
+        if (own && hasAlertPosition(alertData)) {
+            const distance = distanceMeters(own[0], own[1], alertData.lat, alertData.lon);
+            responder.distance = Math.round(distance);
+            if (status === 'enroute') {
+                responder.eta = Math.round(serverNow() + estimateTravelMs(distance, sessionStatsRef.current.currentSpeed, sport));
+            }
+        }
+        database.ref(`groups/${currentGroup}/alerts/${alertId}/responders/${uid}`).set(responder);
+        postFeedEvent(currentGroup, 'sos_update', `${username} ${status === 'enroute' ? 'is on the way to' : 'saw'} ${alertData.username}'s SOS`);
+        lastEtaPublishRef.current = clockNow;
+    };
+
+    // Close an SOS ('resolved' | 'cancelled') and take down its pin
+    const handleSosClose = async (alertId, status) => {
+        if (!currentGroup) return;
+        const closing = status === 'cancelled' ? 'Cancel this SOS?' : 'Mark this SOS as resolved?';
+        if (!window.confirm(closing)) return;
+        await database.ref(`groups/${currentGroup}/alerts/${alertId}`).update({
+            status,
+            closedBy: username,
+            closedAt: firebase.database.ServerValue.TIMESTAMP
+        });
+        await database.ref(`groups/${currentGroup}/pins/sos_${alertId}`).remove();
+        const sender = (groupAlerts[alertId] || {}).username;
+        postFeedEvent(currentGroup, 'sos_update', `${username} marked ${sender === username ? 'their' : `${sender}'s`} SOS ${status}`);
+    };
+
+    // Emergency report text for an SOS, using the sender's latest position
+    const emergencyReportFor = (alertId) => {
+        const alertData = groupAlerts[alertId];
+        if (!hasAlertPosition(alertData)) return null;
+        const member = groupMembers[alertData.userId] || {};
+        const trails = loadedTrailGeometry();
+        return buildEmergencyReport({
+            name: alertData.username,
+            lat: alertData.lat,
+            lon: alertData.lon,
+            accuracy: alertData.accuracy,
+            altitude: typeof alertData.altitude === 'number' ? alertData.altitude : member.altitude,
+            fixTime: alertData.updatedAt || alertData.timestamp,
+            trail: nearestTrail(alertData.lat, alertData.lon, trails.filter(t => t.info.kind !== 'lift'), null, REPORT_NEARBY_METERS),
+            lift: nearestTrail(alertData.lat, alertData.lon, trails, 'lift', REPORT_NEARBY_METERS),
+            trigger: alertData.trigger
+        });
+    };
+
+    const handleCopyReport = async (text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            showToast('📋 Report copied');
+        } catch (e) {
+            console.warn('[Report] Clipboard write failed:', e);
+            showToast('Could not copy - select the text instead', 'error');
+        }
+    };
+
+    // Open the report as a plain printable card
+    const handlePrintReport = (text) => {
+        const win = window.open('', '_blank');
+        if (!win) {
+            showToast('Allow pop-ups to print the report', 'error');
+            return;
+        }
+        win.document.write(`<!DOCTYPE html><html><head><title>Emergency report</title>
+            <style>body{font-family:sans-serif;padding:24px}pre{font-size:18px;border:4px solid #ff0000;padding:16px;white-space:pre-wrap}</style>
+            </head><body><pre>${escapeXml(text)}</pre></body></html>`);
+        win.document.close();
+        win.focus();
+        win.print();
+    };
+
+    // Keep our distance/ETA fresh on any SOS we're heading to
+    useEffect(() => {
+        const uid = getUid();
+        const own = lastOwnLocationRef.current;
+        if (!currentGroup || !uid || !own) return;
+        if (clockNow - lastEtaPublishRef.current < SOS_ETA_PUBLISH_MS) return;
+        Object.entries(groupAlerts).forEach(([alertId, alertData]) => {
+            const mine = isSosOpen(alertData) && (alertData.responders || {})[uid];
+            if (!mine || mine.status !== 'enroute' || !hasAlertPosition(alertData)) return;
+            const distance = distanceMeters(own[0], own[1], alertData.lat, alertData.lon);
+            database.ref(`groups/${currentGroup}/alerts/${alertId}/responders/${uid}`).update({
+                distance: Math.round(distance),
+                eta: Math.round(serverNow() + estimateTravelMs(distance, sessionStatsRef.current.currentSpeed, sport)),
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            lastEtaPublishRef.current = clockNow;
+        });
+    }, [clockNow, groupAlerts]);
+
+    // Listen to group-wide safety settings
+    useEffect(() => {
+        if (!currentGroup) return;
+
+        const settingsRef = database.ref(`groups/${currentGroup}/settings`);
+        settingsRef.on('value', (snapshot) => {
+            const settings = snapshot.val() || {};
+            setInactivityMinutes(typeof settings.inactivityMinutes === 'number' ? settings.inactivityMinutes : DEFAULT_INACTIVITY_MINUTES);
+            setSeparationMeters(typeof settings.separationMeters === 'number' ? settings.separationMeters : DEFAULT_SEPARATION_METERS);
+            setSeparationAnchor(settings.separationAnchor || SEPARATION_CENTROID);
+        });
+
+        return () => settingsRef.off();
+    }, [currentGroup]);
+
+    // Raise an inactivity alert for members stationary off-lift past the
+    // threshold, and mark it cleared once they move away from where it was
+    // raised or leave the group (the alert cleanup function deletes cleared
+    // alerts later). Every client runs this; raising is a transaction on the
+    // per-member alert id, so only one client creates it and nobody
+    // overwrites a dismissal made in the meantime.
+    useEffect(() => {
+        if (!currentGroup || !connected) return;
+        const thresholdMs = inactivityMinutes * 60 * 1000;
+        const lifts = loadedTrailGeometry().filter(trail => trail.info.kind === 'lift');
+
+        // Members who disconnected or left can't move away to clear their alert
+        if (locationsLoadedRef.current) {
+            Object.entries(groupAlerts).forEach(([alertId, alertData]) => {
+                if (alertData.type !== 'INACTIVE' || alertData.cleared || groupMembers[alertData.userId]) return;
+                database.ref(`groups/${currentGroup}/alerts/${alertId}`)
+                    .update({ cleared: true, clearedAt: firebase.database.ServerValue.TIMESTAMP });
+            });
+        }
+
+        Object.entries(groupMembers).forEach(([userId, data]) => {
+            const alertId = inactivityAlertId(userId);
+            const existing = groupAlerts[alertId] && !groupAlerts[alertId].cleared ? groupAlerts[alertId] : null;
+            const alertRef = database.ref(`groups/${currentGroup}/alerts/${alertId}`);
+
+            if (existing && data.lat && data.lon
+                && distanceMeters(existing.lat, existing.lon, data.lat, data.lon) > INACTIVITY_RADIUS_METERS) {
+                alertRef.update({ cleared: true, clearedAt: firebase.database.ServerValue.TIMESTAMP });
+                return;
+            }
+            if (!thresholdMs || existing) return;
+            // Only judge precise, still-reporting positions
+            if (!data.lat || !data.lon || data.sharing !== 'live') return;
+            if (memberFreshness(data.timestamp, clockNow, data.heartbeat) === 'lost') return;
+            if (nearestTrail(data.lat, data.lon, lifts, 'lift', LIFT_TOLERANCE_METERS)) return;
+
+            const points = sortedTrackPoints(groupTracks[userId] || {});
+            const since = stationarySince(points, INACTIVITY_RADIUS_METERS);
+            if (since === null || clockNow - since < thresholdMs) return;
+
+            alertRef.transaction((current) => {
+                // Someone else raised it first (or it was dismissed meanwhile)
+                if (current && !current.cleared) return undefined;
+                return {
+                    type: 'INACTIVE',
+                    userId: userId,
+                    username: data.name,
+                    since: since,
+                    lat: data.lat,
+                    lon: data.lon,
+                    location: `${data.lat.toFixed(4)}, ${data.lon.toFixed(4)}`,
+                    timestamp: firebase.database.ServerValue.TIMESTAMP,
+                    dismissed: false
+                };
+            }).then(({ committed }) => {
+                if (!committed) return;
+                // Only the client whose raise went through posts to the feed
+                console.log('[Inactivity] Raised alert for', data.name);
+                postFeedEvent(currentGroup, 'inactivity', `${data.name} hasn't moved since ${new Date(since).toLocaleTimeString()}`, userId, data.name);
+            }).catch(e => console.warn('[Inactivity] Could not raise alert:', e));
+        });
+    }, [groupMembers, groupTracks, groupAlerts, clockNow, inactivityMinutes, connected]);
+
+    // The affected member confirms they are fine; the alert stays (dismissed)
+    // until they move so it isn't raised again for the same stop
+    const handleDismissInactivity = () => {
+        const uid = getUid();
+        if (!currentGroup || !uid) return;
+        database.ref(`groups/${currentGroup}/alerts/${inactivityAlertId(uid)}`).update({
+            dismissed: true,
+            dismissedAt: firebase.database.ServerValue.TIMESTAMP
+        });
+    };
+
+    const handleInactivityMinutesChange = (minutes) => {
+        if (!currentGroup) return;
+        database.ref(`groups/${currentGroup}/settings/inactivityMinutes`).set(minutes);
+    };
+
+    const handleSeparationChange = (patch) => {
+        if (!currentGroup) return;
+        database.ref(`groups/${currentGroup}/settings`).update(patch);
+    };
+
+    // True if nobody has alerted us about this member's separation lately;
+    // records the alert we're about to show
+    const claimSeparationNotice = (userId) => {
+        const now = Date.now();
+        const last = separationNotifiedAtRef.current[userId];
+        if (last && now - last < SEPARATION_NOTIFY_DEDUPE_MS) return false;
+        separationNotifiedAtRef.current[userId] = now;
+        return true;
+    };
+
+    // Work out who has drifted from the pack (or anchor). Both ends are
+    // alerted: when we newly cross the radius ourselves we're told and post to
+    // the feed, and everyone else alerts from their own view of the group, so
+    // the warning doesn't depend on the separated device having signal.
+    useEffect(() => {
+        const positions = {};
+        Object.entries(groupMembers).forEach(([userId, data]) => {
+            // Coarse positions are snapped too far to measure against a 250 m radius
+            if (!data.lat || !data.lon || data.sharing !== 'live') return;
+            if (memberFreshness(data.timestamp, clockNow, data.heartbeat) === 'lost') return;
+            positions[userId] = { lat: data.lat, lon: data.lon };
+        });
+        const separated = findSeparatedMembers(positions, separationAnchor, separationMeters);
+        setSeparatedMembers(separated);
+
+        const uid = getUid();
+        const anchorName = separationAnchor === SEPARATION_CENTROID ? 'the group' : (groupMembers[separationAnchor] || {}).name;
+        separated
+            .filter(entry => !separatedIdsRef.current.includes(entry.userId))
+            .forEach((entry) => {
+                if (entry.userId === uid) {
+                    console.log('[Separation] We are', Math.round(entry.distance), 'm from', anchorName);
+                    notify({ ...FEED_TYPES.separation, text: `You're ${formatDistance(entry.distance)} from ${anchorName}` });
+                    postFeedEvent(currentGroup, 'separation', `${username} is ${formatDistance(entry.distance)} from ${anchorName}`);
+                } else if (claimSeparationNotice(entry.userId)) {
+                    const name = (groupMembers[entry.userId] || {}).name || 'Someone';
+                    notify({ ...FEED_TYPES.separation, text: `${name} is ${formatDistance(entry.distance)} from ${anchorName}` });
+                }
+            });
+        separatedIdsRef.current = separated.map(entry => entry.userId);
+    }, [groupMembers, clockNow, separationMeters, separationAnchor]);
+
+    // Route the group is riding: the loaded replay route, else the most recently
+    // pinned trail that is loaded on the map. Returns { name, coords } or null.
+    const activeRouteGeometry = () => {
+        if (simRoute && simRoute.points.length > 1) {
+            return { name: simRoute.name, coords: simRoute.points.map(p => [p.lat, p.lon]) };
+        }
+        const pinned = Object.values(groupPins)
+            .filter(pin => pin && pin.trail && pin.trail.id)
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))[0];
+        if (!pinned) return null;
+        const trail = loadedTrailGeometry().find(t => t.info.id === pinned.trail.id);
+        return trail ? { name: trail.info.name, coords: trail.coords } : null;
+    };
+
+    // Warn when someone gets ahead of the leader or behind the sweep
+    useEffect(() => {
+        const roles = {};
+        Object.entries(groupRoster).forEach(([userId, member]) => {
+            if (MEMBER_ROLES[member.role]) roles[member.role] = userId;
+        });
+        const route = activeRouteGeometry();
+        if (!route || (!roles.leader && !roles.sweep)) {
+            setRoleViolations({ route: null, violations: [] });
+            roleViolationKeysRef.current = [];
+            return;
+        }
+
+        const positions = {};
+        Object.entries(groupMembers).forEach(([userId, data]) => {
+            // Coarse positions can't be ordered along a trail
+            if (!data.lat || !data.lon || data.sharing !== 'live') return;
+            if (memberFreshness(data.timestamp, clockNow, data.heartbeat) === 'lost') return;
+            positions[userId] = { lat: data.lat, lon: data.lon };
+        });
+        const violations = findRoleViolations(positions, roles, route.coords);
+        setRoleViolations({ route: route.name, violations });
+
+        const keys = violations.map(v => `${v.userId}:${v.kind}`);
+        violations
+            .filter(v => !roleViolationKeysRef.current.includes(`${v.userId}:${v.kind}`))
+            .forEach((v) => {
+                const name = (groupMembers[v.userId] || {}).name;
+                const message = v.kind === 'ahead' ? `${name} is ahead of the leader` : `${name} is behind the sweep`;
+                console.log('[Roles]', message, Math.round(v.gap), 'm on', route.name);
+                notify({
+                    icon: MEMBER_ROLES[v.kind === 'ahead' ? 'leader' : 'sweep'].icon,
+                    text: `${message} (${formatDistance(v.gap)} on ${route.name})`,
+                    urgent: false
+                });
+            });
+        roleViolationKeysRef.current = keys;
+    }, [groupMembers, groupRoster, groupPins, simRoute, clockNow]);
+
+    // Open the pin modal at the midpoint between a separated member and the group
+    const handleRegroupHere = (entry) => {
+        const data = groupMembers[entry.userId];
+        if (!data) return;
+        setPendingPinLocation({
+            lat: (data.lat + entry.anchor[0]) / 2,
+            lng: (data.lon + entry.anchor[1]) / 2
+        });
+        setPinLabel('');
+        setPinType('regroup');
+        setPinLifetime('default');
+        setSelectedTrail(null);
+        setShowPinModal(true);
+    };
+
+    // Roster section of a regroup pin's popup
+    const regroupRosterHtml = (pin) => {
+        const rsvp = pin.rsvp || {};
+        const now = serverNow();
+        const rows = Object.values(rsvp).map((entry) => {
+            const status = REGROUP_STATUSES[entry.status] || REGROUP_STATUSES.coming;
+            let detail = '';
+            if (entry.status === 'arrived' && entry.arrivedAt) {
+                detail = ` · ${new Date(entry.arrivedAt).toLocaleTimeString()}`;
+            } else if (entry.status === 'coming') {
+                detail = `${typeof entry.distance === 'number' ? ` · ${formatDistance(entry.distance)}` : ''}`
+                    + `${entry.eta ? ` · ETA ${entry.eta > now ? formatDuration(entry.eta - now) : 'now'}` : ''}`;
+            }
+            return `<li>${status.icon} ${entry.name}${detail}</li>`;
+        });
+        const waiting = Object.entries(rosterRef.current)
+            .filter(([userId]) => !rsvp[userId])
+            .map(([, member]) => member.name);
+        const mine = rsvp[getUid()];
+        return `
+            <div style="background: #f0f0f0; padding: 8px; border-radius: 6px; margin: 8px 0; border-left: 4px solid ${PIN_TYPES.regroup.color};">
+                <strong>🔁 Who's coming</strong>
+                <ul style="list-style: none; margin: 4px 0; padding: 0;">${rows.join('') || '<li>No replies yet</li>'}</ul>
+                ${waiting.length ? `<small>No reply: ${waiting.join(', ')}</small><br>` : ''}
+                ${!mine || mine.status !== 'arrived' ? `
+                    <button data-rsvp="coming" style="margin-top:6px;padding:4px 8px;background:#479dc0;color:white;border:none;border-radius:4px;cursor:pointer;">🏃 On my way</button>
+                    <button data-rsvp="declined" style="margin-top:6px;padding:4px 8px;background:#4a508e;color:white;border:none;border-radius:4px;cursor:pointer;">✖️ Can't make it</button>
+                ` : ''}
+            </div>
+        `;
+    };
+
+    // Distance and ETA to a regroup pin, as precise as our sharing mode
+    // allows: nothing while paused or in a private zone, grid-cell precision
+    // when coarse
+    const regroupTravel = (pin) => {
+        const own = lastOwnLocationRef.current;
+        const mode = sharingModeRef.current;
+        if (!own || mode === 'paused' || inPrivateZoneRef.current) return null;
+        const coarse = mode === 'coarse';
+        const from = coarse ? coarsenLocation(own[0], own[1]) : { lat: own[0], lon: own[1] };
+        const exact = distanceMeters(from.lat, from.lon, pin.lat, pin.lon);
+        const distance = coarse
+            ? Math.round(exact / COARSE_GRID_METERS) * COARSE_GRID_METERS
+            : Math.round(exact);
+        return {
+            distance,
+            eta: Math.round(serverNow() + estimateTravelMs(distance, sessionStatsRef.current.currentSpeed, sport)),
+            arrived: exact <= (coarse ? COARSE_GRID_METERS : REGROUP_ARRIVAL_RADIUS_METERS)
+        };
+    };
+
+    // Reply to a regroup pin; "coming" includes our current distance and ETA
+    const handleRsvp = (pinId, pin, status) => {
+        const uid = getUid();
+        if (!uid || !currentGroup || !REGROUP_STATUSES[status]) return;
+        const entry = { name: username, status, updatedAt: firebase.database.ServerValue.TIMESTAMP };
+        const travel = status === 'coming' ? regroupTravel(pin) : null;
+        if (travel) {
+            entry.distance = travel.distance;
+            entry.eta = travel.eta;
+        }
+        database.ref(`groups/${currentGroup}/pins/${pinId}/rsvp/${uid}`).set(entry);
+        postFeedEvent(currentGroup, 'pin', status === 'coming'
+            ? `${username} is on the way to ${pin.label}${entry.eta ? ` (ETA ${formatDuration(entry.eta - serverNow())})` : ''}`
+            : `${username} can't make it to ${pin.label}`);
+    };
+
+    // Regroup upkeep: refresh our ETA, detect arrival and remind everyone
+    // shortly before the meeting time
+    useEffect(() => {
+        const uid = getUid();
+        if (!currentGroup || !uid) return;
+        const publishEta = clockNow - lastRegroupPublishRef.current >= REGROUP_ETA_PUBLISH_MS;
+
+        Object.entries(groupPins).forEach(([pinId, pin]) => {
+            if (!pin || pin.type !== 'regroup') return;
+            const mine = (pin.rsvp || {})[uid];
+            const rsvpRef = database.ref(`groups/${currentGroup}/pins/${pinId}/rsvp/${uid}`);
+
+            // Only members who said they're coming are tracked to the pin;
+            // passing by (or dropping it) isn't an RSVP
+            const travel = mine && mine.status === 'coming' ? regroupTravel(pin) : null;
+            if (travel) {
+                if (travel.arrived) {
+                    console.log('[Regroup] Arrived at', pin.label);
+                    rsvpRef.set({
+                        name: username,
+                        status: 'arrived',
+                        arrivedAt: firebase.database.ServerValue.TIMESTAMP,
+                        updatedAt: firebase.database.ServerValue.TIMESTAMP
+                    });
+                    postFeedEvent(currentGroup, 'pin', `${username} arrived at ${pin.label}`);
+                } else if (publishEta) {
+                    rsvpRef.update({
+                        distance: travel.distance,
+                        eta: travel.eta,
+                        updatedAt: firebase.database.ServerValue.TIMESTAMP
+                    });
+                }
+            }
+
+            const meetAt = regroupMeetAt(pin);
+            if (meetAt && !remindedRegroupsRef.current.has(pinId)
+                && clockNow >= meetAt - REGROUP_REMINDER_LEAD_MS && clockNow < meetAt
+                && (!mine || mine.status === 'coming')) {
+                remindedRegroupsRef.current.add(pinId);
+                notify({
+                    icon: PIN_TYPES.regroup.icon,
+                    text: `${pin.label} @ ${pin.pinTime} in ${formatDuration(meetAt - clockNow)}`,
+                    urgent: false
                 });
             }
         });
+        if (publishEta) lastRegroupPublishRef.current = clockNow;
+    }, [clockNow, groupPins]);
 
-        return () => locationsRef.off();
-    }, [currentGroup]);
-
-    // Listen to SOS alerts
-    useEffect(() => {
-        if (!currentGroup) return;
+    // Draw pin markers for a pins snapshot and highlight the latest pinned trail
+    const renderPinMarkers = (pins) => {
+        if (!mapInstanceRef.current) return;
 
-        const alertsRef = database.ref(`groups/${currentGroup}/alerts`);
+        // Clear old pin markers, remembering which popup was open so live
+        // updates (RSVPs, a moving SOS) don't close it
+        const previousIds = Object.keys(pinMarkersRef.current);
+        const openPinId = previousIds.find(id => pinMarkersRef.current[id].isPopupOpen());
+        Object.values(pinMarkersRef.current).forEach(marker => marker.remove());
+        pinMarkersRef.current = {};
         
-        alertsRef.on('value', (snapshot) => {
-            const alerts = snapshot.val() || {};
-            setGroupAlerts(alerts);
-            
-            // Check for new alerts and show notification
-            const now = Date.now();
-            Object.entries(alerts).forEach(([alertId, data]) => {
-                // Only show alerts from last 30 seconds that aren't from current user
-                if (data.timestamp && (now - data.timestamp < 30000) && data.userId !== getUid()) {
-                    console.log('[SOS] Alert from', data.username);
-                    // Show browser notification if permitted
-                    if ('Notification' in window && Notification.permission === 'granted') {
-                        new Notification(`🆘 SOS from ${data.username}!`, {
-                            body: `Emergency alert at ${data.location || 'unknown location'}`,
-                            icon: '🆘',
-                            requireInteraction: true
-                        });
-                    }
+        // Add new pin markers
+        Object.entries(pins).forEach(([pinId, data]) => {
+            if (data.lat && data.lon) {
+                // Different styling for SOS pins; others are colored by type
+                const isSOS = data.isSOS || (data.label || '').includes('EMERGENCY');
+                const pinType = PIN_TYPES[data.type] || PIN_TYPES[DEFAULT_PIN_TYPE];
+                const pinColor = isSOS ? '#ff0000' : pinType.color;
+                const strokeColor = isSOS ? '#cc0000' : pinType.stroke;
+                const labelStyle = isSOS ? 'background: #ff0000; color: white; padding: 4px 8px; border-radius: 4px; font-weight: bold; animation: pulse 1s infinite;' : '';
+                
+                const pinIcon = L.divIcon({
+                    className: 'pin-marker-container',
+                    html: `<div class="pin-marker-wrapper">
+                              <div class="pin-label" style="${labelStyle}">${data.label}${data.pinTime ? ' @ ' + data.pinTime : ''}</div>
+                              <svg xmlns="http://www.w3.org/2000/svg" width="${isSOS ? 40 : 32}" height="${isSOS ? 50 : 40}" viewBox="0 0 32 40" class="pin-icon" style="display: block; ${isSOS ? 'filter: drop-shadow(0 0 8px #ff0000);' : ''}">
+                                <path fill="${pinColor}" stroke="${strokeColor}" stroke-width="2" d="M16 0C9.4 0 4 5.4 4 12c0 8 12 28 12 28s12-20 12-28c0-6.6-5.4-12-12-12z"/>
+                                <circle cx="16" cy="12" r="${isSOS ? 6 : 7}" fill="white"/>
+                                ${isSOS
+                                    ? '<text x="16" y="15" font-size="10" font-weight="bold" fill="#ff0000" text-anchor="middle">!</text>'
+                                    : `<text x="16" y="15.5" font-size="9" text-anchor="middle">${pinType.icon}</text>`}
+                              </svg>
+                           </div>`,
+                    iconSize: isSOS ? [100, 80] : [80, 70],
+                    iconAnchor: isSOS ? [50, 75] : [40, 65],
+                    popupAnchor: [0, isSOS ? -80 : -70]
+                });
+                
+                const marker = L.marker([data.lat, data.lon], { icon: pinIcon })
+                    .addTo(mapInstanceRef.current);
+                
+                let popupContent = `
+                    <div style="min-width: 200px; ${isSOS ? 'border: 3px solid #ff0000; padding: 8px; border-radius: 8px;' : ''}">
+                        ${isSOS ? '<div style="font-size: 32px; text-align: center; margin-bottom: 8px;">🆘</div>' : ''}
+                        <strong style="font-size: 16px; ${isSOS ? 'color: #ff0000;' : ''}">${isSOS ? '' : `${pinType.icon} `}${data.label}</strong><br>
+                        ${isSOS ? '' : `<small>${pinType.label}</small><br>`}
+                `;
+                
+                // Add trail information if this is a trail pin
+                if (data.trail) {
+                    popupContent += `
+                        <div style="background: #f0f0f0; padding: 8px; border-radius: 6px; margin: 8px 0; border-left: 4px solid ${data.trail.color};">
+                            <strong style="color: ${data.trail.color};">🎿 ${data.trail.type}</strong><br>
+                            <em>Trail: ${data.trail.name}</em><br>
+                            <strong>Difficulty:</strong> ${data.trail.difficulty}
+                        </div>
+                    `;
                 }
                 
-                // Auto-delete alerts older than 10 minutes
-                if (data.timestamp && (now - data.timestamp > 600000)) {
-                    database.ref(`groups/${currentGroup}/alerts/${alertId}`).remove();
+                if (data.type === 'regroup') {
+                    popupContent += regroupRosterHtml(data);
                 }
-            });
+                
+                popupContent += `
+                        <strong>Time:</strong> ${data.pinTime || 'N/A'}<br>
+                        <strong>By:</strong> ${data.createdBy}<br>
+                        <strong>Created:</strong> ${new Date(data.createdAt).toLocaleTimeString()}<br>
+                        <strong>Expires:</strong> ${data.expiresAt ? new Date(data.expiresAt).toLocaleTimeString() : (isSOS ? 'When resolved' : 'Until removed')}<br>
+                        ${isSOS ? '<p style="color: #ff0000; font-weight: bold; margin-top: 8px;">⚠️ EMERGENCY ASSISTANCE NEEDED</p>' : ''}
+                        <button onclick="if(confirm('Delete this pin?')) { firebase.database().ref('groups/${currentGroup}/pins/${pinId}').remove(); }" style="margin-top:8px;padding:4px 8px;background:#e74c3c;color:white;border:none;border-radius:4px;cursor:pointer;">Delete Pin</button>
+                    </div>
+                `;
+                
+                marker.bindPopup(popupContent);
+                // RSVP buttons are plain HTML in the popup; wire them when shown
+                marker.on('popupopen', (e) => {
+                    e.popup.getElement().querySelectorAll('[data-rsvp]').forEach((button) => {
+                        button.onclick = () => handleRsvp(pinId, data, button.dataset.rsvp);
+                    });
+                });
+                
+                // Auto-open new SOS pins
+                if (isSOS && data.createdBy !== username && !previousIds.includes(pinId)) {
+                    setTimeout(() => marker.openPopup(), 500);
+                }
+                if (pinId === openPinId) marker.openPopup();
+                
+                pinMarkersRef.current[pinId] = marker;
+            }
         });
 
-        return () => alertsRef.off();
-    }, [currentGroup, user]);
+        // Determine pinned trail ids and manage highlighting
+        const pinnedIds = new Set(Object.values(pins).map(p => p && p.trail && p.trail.id).filter(Boolean));
+        // Clear highlighting from trails no longer pinned
+        Object.values(trailLayersMapRef.current || {}).forEach(layer => {
+            if (!layer || !layer.trailId) return;
+            if (!pinnedIds.has(layer.trailId) && layer._highlighted) {
+                setTrailHighlighted(layer.trailId, false);
+            }
+        });
+        // Highlight the most recent pinned trail
+        if (pinnedIds.size > 0) {
+            const entries = Object.entries(pins)
+                .filter(([_, d]) => d && d.trail && d.trail.id)
+                .sort((a, b) => (b[1].createdAt || 0) - (a[1].createdAt || 0));
+            if (entries.length) {
+                const chosen = entries[0][1].trail.id;
+                if (chosen) setTrailHighlighted(chosen, true);
+            }
+        }
+    };
 
     // Listen to group pins
     useEffect(() => {
@@ -734,6 +3099,16 @@ function App() {
         pinsRef.on('value', (snapshot) => {
             const pins = snapshot.val() || {};
             setGroupPins(pins);
+            saveGroupCache(currentGroup, { pins });
+
+            // Remember this session's pins for export even once they expire
+            const log = sessionLogRef.current;
+            if (log) {
+                Object.entries(pins).forEach(([pinId, data]) => {
+                    if (data && (data.createdAt || 0) >= log.startedAt) log.pins[pinId] = data;
+                });
+                persistSessionLog(true);
+            }
             
             // Check for expired pins and delete them
             const now = Date.now();
@@ -743,97 +3118,7 @@ function App() {
                 }
             });
             
-            // Update pin markers on map
-            if (mapInstanceRef.current) {
-                // Clear old pin markers
-                Object.values(pinMarkersRef.current).forEach(marker => marker.remove());
-                pinMarkersRef.current = {};
-                
-                // Add new pin markers
-                Object.entries(pins).forEach(([pinId, data]) => {
-                    if (data.lat && data.lon) {
-                        // Different styling for SOS pins
-                        const isSOS = data.isSOS || data.label.includes('EMERGENCY');
-                        const pinColor = isSOS ? '#ff0000' : '#e74c3c';
-                        const strokeColor = isSOS ? '#cc0000' : '#c0392b';
-                        const labelStyle = isSOS ? 'background: #ff0000; color: white; padding: 4px 8px; border-radius: 4px; font-weight: bold; animation: pulse 1s infinite;' : '';
-                        
-                        const pinIcon = L.divIcon({
-                            className: 'pin-marker-container',
-                            html: `<div class="pin-marker-wrapper">
-                                      <div class="pin-label" style="${labelStyle}">${data.label}${data.pinTime ? ' @ ' + data.pinTime : ''}</div>
-                                      <svg xmlns="http://www.w3.org/2000/svg" width="${isSOS ? 40 : 32}" height="${isSOS ? 50 : 40}" viewBox="0 0 32 40" class="pin-icon" style="display: block; ${isSOS ? 'filter: drop-shadow(0 0 8px #ff0000);' : ''}">
-                                        <path fill="${pinColor}" stroke="${strokeColor}" stroke-width="2" d="M16 0C9.4 0 4 5.4 4 12c0 8 12 28 12 28s12-20 12-28c0-6.6-5.4-12-12-12z"/>
-                                        <circle cx="16" cy="12" r="6" fill="white"/>
-                                        ${isSOS ? '<text x="16" y="15" font-size="10" font-weight="bold" fill="#ff0000" text-anchor="middle">!</text>' : ''}
-                                      </svg>
-                                   </div>`,
-                            iconSize: isSOS ? [100, 80] : [80, 70],
-                            iconAnchor: isSOS ? [50, 75] : [40, 65],
-                            popupAnchor: [0, isSOS ? -80 : -70]
-                        });
-                        
-                        const marker = L.marker([data.lat, data.lon], { icon: pinIcon })
-                            .addTo(mapInstanceRef.current);
-                        
-                        let popupContent = `
-                            <div style="min-width: 200px; ${isSOS ? 'border: 3px solid #ff0000; padding: 8px; border-radius: 8px;' : ''}">
-                                ${isSOS ? '<div style="font-size: 32px; text-align: center; margin-bottom: 8px;">🆘</div>' : ''}
-                                <strong style="font-size: 16px; ${isSOS ? 'color: #ff0000;' : ''}">${data.label}</strong><br>
-                        `;
-                        
-                        // Add trail information if this is a trail pin
-                        if (data.trail) {
-                            popupContent += `
-                                <div style="background: #f0f0f0; padding: 8px; border-radius: 6px; margin: 8px 0; border-left: 4px solid ${data.trail.color};">
-                                    <strong style="color: ${data.trail.color};">🎿 ${data.trail.type}</strong><br>
-                                    <em>Trail: ${data.trail.name}</em><br>
-                                    <strong>Difficulty:</strong> ${data.trail.difficulty}
-                                </div>
-                            `;
-                        }
-                        
-                        popupContent += `
-                                <strong>Time:</strong> ${data.pinTime || 'N/A'}<br>
-                                <strong>By:</strong> ${data.createdBy}<br>
-                                <strong>Created:</strong> ${new Date(data.createdAt).toLocaleTimeString()}<br>
-                                <strong>Expires:</strong> ${new Date(data.expiresAt).toLocaleTimeString()}<br>
-                                ${isSOS ? '<p style="color: #ff0000; font-weight: bold; margin-top: 8px;">⚠️ EMERGENCY ASSISTANCE NEEDED</p>' : ''}
-                                <button onclick="if(confirm('Delete this pin?')) { firebase.database().ref('groups/${currentGroup}/pins/${pinId}').remove(); }" style="margin-top:8px;padding:4px 8px;background:#e74c3c;color:white;border:none;border-radius:4px;cursor:pointer;">Delete Pin</button>
-                            </div>
-                        `;
-                        
-                        marker.bindPopup(popupContent);
-                        
-                        // Auto-open SOS pins
-                        if (isSOS && data.createdBy !== username) {
-                            setTimeout(() => marker.openPopup(), 500);
-                        }
-                        
-                        pinMarkersRef.current[pinId] = marker;
-                    }
-                });
-
-                // Determine pinned trail ids and manage highlighting
-                const pinnedIds = new Set(Object.values(pins).map(p => p && p.trail && p.trail.id).filter(Boolean));
-                // Clear highlighting from trails no longer pinned
-                Object.values(trailLayersMapRef.current || {}).forEach(layer => {
-                    if (!layer || !layer.trailId) return;
-                    if (!pinnedIds.has(layer.trailId) && layer._highlighted) {
-                        setTrailHighlighted(layer.trailId, false);
-                    }
-                });
-                // Highlight the most recent pinned trail
-                if (pinnedIds.size > 0) {
-                    const entries = Object.entries(pins)
-                        .filter(([_, d]) => d && d.trail && d.trail.id)
-                        .sort((a, b) => (b[1].createdAt || 0) - (a[1].createdAt || 0));
-                    if (entries.length) {
-                        const chosen = entries[0][1].trail.id;
-                        if (chosen) setTrailHighlighted(chosen, true);
-                    }
-                }
-            }
+            renderPinMarkers(pins);
         });
 
         return () => pinsRef.off();
@@ -861,11 +3146,425 @@ function App() {
 
     // Start location tracking when group is joined
     useEffect(() => {
-        if (currentGroup && user && !watchId) {
+        if (currentGroup && user && !watchId && !simulating) {
             console.log('Group joined, starting location tracking for group:', currentGroup);
             startLocationTracking();
         }
-    }, [currentGroup, user, watchId]);
+    }, [currentGroup, user, watchId, simulating]);
+
+    // Heartbeat from a timer rather than the GPS callback, which a stationary
+    // device may stop firing: re-send our last shared position whenever the
+    // profile's heartbeat is due. Reads only refs, so the interval never goes stale.
+    useEffect(() => {
+        if (!currentGroup) return;
+        const interval = setInterval(() => {
+            const last = lastPublishedFixRef.current;
+            const shared = lastSharedDataRef.current;
+            const uid = getUid();
+            if (!last || !shared || !uid || !activeGroupRef.current) return;
+            if (sharingModeRef.current === 'paused' || inPrivateZoneRef.current) return;
+            const profile = TRACKING_PROFILES[trackingProfileRef.current] || TRACKING_PROFILES[DEFAULT_TRACKING_PROFILE];
+            const now = Date.now();
+            if (now - last.time < profile.heartbeatMs) return;
+            lastPublishedFixRef.current = { ...last, time: now };
+            queueLocationWrite(activeGroupRef.current, uid, {
+                ...shared,
+                heartbeat: profile.heartbeatMs,
+                timestamp: now + serverTimeOffsetRef.current
+            });
+        }, HEARTBEAT_CHECK_MS);
+        return () => clearInterval(interval);
+    }, [currentGroup]);
+
+    // Keep replay settings readable from the running interval
+    useEffect(() => {
+        simSpeedRef.current = simSpeed;
+        simLoopRef.current = simLoop;
+    }, [simSpeed, simLoop]);
+
+    // Persist the tracking profile and restart the watcher when the profile,
+    // low-power or SOS state changes so the new geolocation options take effect
+    useEffect(() => {
+        trackingProfileRef.current = trackingProfile;
+        lowPowerRef.current = lowPower;
+        try {
+            localStorage.setItem(TRACKING_PROFILE_STORAGE_KEY, trackingProfile);
+        } catch (e) {
+            // ignore storage failures
+        }
+        if (!watchIdRef.current) return;
+        console.log('[Tracking] Restarting watcher. Profile:', trackingProfile, 'Low power:', lowPower, 'SOS:', !!ownSosAlertId);
+        stopLocationTracking();
+        startLocationTracking();
+    }, [trackingProfile, lowPower, ownSosAlertId]);
+
+    // Publish our sharing mode. Pausing replaces our location with a
+    // coordinate-free status record; resuming publishes the next fix immediately.
+    useEffect(() => {
+        sharingModeRef.current = sharingMode;
+        lastPublishedFixRef.current = null;
+        const uid = getUid();
+        if (!uid || !currentGroup) return;
+        database.ref(`groups/${currentGroup}/members/${uid}/sharing`).set(sharingMode)
+            .catch(e => console.warn('[Sharing] Could not update sharing mode:', e));
+        if (sharingMode === 'paused') {
+            publishSharingStatus('paused');
+        }
+        console.log('[Sharing] Mode:', sharingMode);
+    }, [sharingMode, currentGroup]);
+
+    // Replace our location with a coordinate-free status record ('paused' or 'private')
+    const publishSharingStatus = (status) => {
+        const uid = getUid();
+        const group = activeGroupRef.current;
+        if (!uid || !group) return;
+        database.ref(`groups/${group}/locations/${uid}`).set({
+            name: username,
+            sport: sport,
+            sharing: status,
+            timestamp: firebase.database.ServerValue.TIMESTAMP
+        }).catch(e => console.warn(`[Sharing] Could not publish ${status} status:`, e));
+    };
+
+    // Persist private zones and draw them (only on this device)
+    useEffect(() => {
+        privateZonesRef.current = privateZones;
+        savePrivateZones(privateZones);
+
+        zoneLayersRef.current.forEach(layer => layer.remove());
+        zoneLayersRef.current = [];
+        const map = mapInstanceRef.current;
+        if (!map) return;
+        zoneLayersRef.current = privateZones.map(zone =>
+            L.circle([zone.lat, zone.lon], {
+                radius: zone.radius,
+                color: '#8e44ad',
+                weight: 2,
+                dashArray: '6 6',
+                fillOpacity: 0.08,
+                interactive: false
+            }).addTo(map)
+        );
+    }, [privateZones, currentGroup]);
+
+    // Drop to low accuracy while the tab is hidden
+    useEffect(() => {
+        const handleVisibility = () => {
+            setLowPower(stationaryRef.current || document.hidden);
+        };
+        document.addEventListener('visibilitychange', handleVisibility);
+        return () => document.removeEventListener('visibilitychange', handleVisibility);
+    }, []);
+
+    // Track connectivity: drive the connection banner and flush queued location
+    // writes as soon as we're back online
+    useEffect(() => {
+        activeGroupRef.current = currentGroup;
+        // Resume today's session log for this group, e.g. after a reload
+        sessionLogRef.current = currentGroup ? loadSessionLog(currentGroup, Date.now()) : null;
+        if (!currentGroup) return;
+
+        let lostTimer = null;
+        const connectedInfoRef = database.ref('.info/connected');
+        const handler = connectedInfoRef.on('value', (snapshot) => {
+            connectedRef.current = snapshot.val() === true;
+            console.log('[Queue] Connected:', connectedRef.current, 'Queued fixes:', locationQueueRef.current.length);
+            clearTimeout(lostTimer);
+            if (connectedRef.current) {
+                setConnected(true);
+                flushLocationQueue();
+            } else {
+                lostTimer = setTimeout(() => setConnected(false), CONNECTION_LOST_GRACE_MS);
+            }
+        });
+
+        return () => {
+            clearTimeout(lostTimer);
+            connectedInfoRef.off('value', handler);
+            setConnected(true);
+        };
+    }, [currentGroup]);
+
+    // Append a location write to the persistent queue and try to flush it
+    const queueLocationWrite = (group, uid, data) => {
+        const queue = locationQueueRef.current;
+        queue.push({ group, uid, data });
+        if (queue.length > MAX_QUEUED_FIXES) {
+            queue.splice(0, queue.length - MAX_QUEUED_FIXES);
+        }
+        saveQueuedFixes(queue);
+        flushLocationQueue();
+    };
+
+    // Flush queued fixes in order with one multi-path update: the newest fix per
+    // member lands in locations/<uid>, everything older goes to history/<uid>
+    const flushLocationQueue = async () => {
+        if (flushingQueueRef.current || !connectedRef.current) return;
+        const batch = locationQueueRef.current.slice();
+        if (!batch.length) return;
+        flushingQueueRef.current = true;
+
+        const updates = {};
+        const latest = {};
+        batch.forEach((entry) => {
+            const key = `${entry.group}/${entry.uid}`;
+            const prev = latest[key];
+            if (prev) {
+                updates[`groups/${prev.group}/history/${prev.uid}/${prev.data.timestamp}`] = toHistoryPoint(prev.data);
+            }
+            latest[key] = entry;
+        });
+        // Every fix also extends our breadcrumb track in the active group
+        const trackKeys = new Set(ownTrackKeysRef.current);
+        batch.forEach((entry) => {
+            if (entry.group !== activeGroupRef.current) return;
+            const key = String(entry.data.timestamp);
+            updates[`groups/${entry.group}/tracks/${entry.uid}/${key}`] = toHistoryPoint(entry.data);
+            trackKeys.add(key);
+        });
+        const sortedTrackKeys = Array.from(trackKeys).sort();
+        const trimmedKeys = trackKeysToThin(sortedTrackKeys);
+        const ownUid = getUid();
+        if (ownUid && activeGroupRef.current) {
+            trimmedKeys.forEach((key) => {
+                updates[`groups/${activeGroupRef.current}/tracks/${ownUid}/${key}`] = null;
+            });
+        }
+
+        Object.values(latest).forEach((entry) => {
+            // Don't resurrect our location in a group we've already left, or
+            // overwrite a paused/private status with fixes recorded before it
+            if (entry.group === activeGroupRef.current && sharingModeRef.current !== 'paused' && !inPrivateZoneRef.current) {
+                // Fresh fixes are stamped by the server; backlog keeps its recorded time
+                const fresh = serverNow() - entry.data.timestamp < FRESH_FIX_MS;
+                updates[`groups/${entry.group}/locations/${entry.uid}`] = {
+                    ...entry.data,
+                    timestamp: fresh ? firebase.database.ServerValue.TIMESTAMP : entry.data.timestamp
+                };
+            } else {
+                updates[`groups/${entry.group}/history/${entry.uid}/${entry.data.timestamp}`] = toHistoryPoint(entry.data);
+            }
+        });
+
+        let flushed = false;
+        try {
+            await database.ref().update(updates);
+            const sent = new Set(batch);
+            locationQueueRef.current = locationQueueRef.current.filter(entry => !sent.has(entry));
+            saveQueuedFixes(locationQueueRef.current);
+            ownTrackKeysRef.current = sortedTrackKeys.filter(key => !trimmedKeys.includes(key));
+            flushed = true;
+            console.log(`✅ Flushed ${batch.length} location update(s) to Firebase`);
+        } catch (err) {
+            console.error('❌ Error flushing location queue:', err);
+        } finally {
+            flushingQueueRef.current = false;
+        }
+
+        // More fixes may have queued up while this batch was in flight
+        if (flushed && locationQueueRef.current.length) flushLocationQueue();
+    };
+
+    // Shared fix pipeline for real GPS and route replay: filter, detect
+    // stationary periods, throttle, then queue the write.
+    // `speedScale` widens the plausibility check when replaying faster than real time.
+    const handleRawFix = (raw, speedScale = 1) => {
+        const now = raw.time;
+
+        // Weigh the fix by its reported accuracy and drop implausible jumps
+        const result = filterFix(fixFilterRef.current, raw, sport, speedScale);
+        fixFilterRef.current = result.state;
+        if (!result.accepted) {
+            console.warn(`[Tracking] Rejected fix (${result.reason}), accuracy ${raw.accuracy?.toFixed(1) || 'unknown'}m`);
+            return;
+        }
+        const latitude = result.state.lat;
+        const longitude = result.state.lon;
+        const accuracy = Math.sqrt(result.state.variance);
+
+        // Stationary detection: movement beyond the profile distance (or the
+        // smoothed accuracy, whichever is larger) counts as moving
+        const currentProfile = TRACKING_PROFILES[trackingProfileRef.current] || TRACKING_PROFILES[DEFAULT_TRACKING_PROFILE];
+        const fix = { lat: latitude, lon: longitude, time: now };
+        const last = lastPublishedFixRef.current;
+        const moved = last
+            ? distanceMeters(last.lat, last.lon, latitude, longitude) >= Math.max(currentProfile.minDistanceMeters, accuracy)
+            : true;
+        if (moved) lastMovedAtRef.current = now;
+        const stationary = (now - lastMovedAtRef.current) > currentProfile.stationaryAfterMs;
+        if (stationary !== stationaryRef.current) {
+            stationaryRef.current = stationary;
+            console.log(`[Tracking] ${stationary ? 'Stationary - switching to low power' : 'Moving again - restoring accuracy'}`);
+            setLowPower(stationary || document.hidden);
+        }
+
+        // Our own view always follows the precise position
+        lastOwnLocationRef.current = [latitude, longitude];
+        if (typeof raw.altitude === 'number') lastOwnAltitudeRef.current = raw.altitude;
+
+        // An open SOS follows us regardless of pausing, private zones or throttles
+        if (ownSosAlertRef.current) publishSosFix(latitude, longitude, accuracy, raw.altitude, now);
+
+        // Session stats accumulate even while we're not sharing our position
+        sessionStatsRef.current = updateSessionStats(sessionStatsRef.current, {
+            lat: latitude,
+            lon: longitude,
+            altitude: raw.altitude,
+            speed: raw.speed,
+            time: now
+        }, sport);
+        recordSessionFix({ lat: latitude, lon: longitude, altitude: raw.altitude, timestamp: now + serverTimeOffsetRef.current });
+        const mode = sharingModeRef.current;
+        if (now - lastStatsPublishRef.current >= STATS_PUBLISH_MS && mode !== 'paused' && !inPrivateZoneRef.current) {
+            publishSessionStats();
+            lastStatsPublishRef.current = now;
+        }
+
+        if (mode === 'paused') return;
+
+        // Private zones: publish only a status while inside, resume on exit
+        const zone = findPrivateZone(privateZonesRef.current, latitude, longitude);
+        if (zone) {
+            if (!inPrivateZoneRef.current) {
+                inPrivateZoneRef.current = true;
+                setInPrivateZone(true);
+                publishSharingStatus('private');
+                console.log('[Zones] Entered private zone - location hidden');
+            }
+            return;
+        }
+        if (inPrivateZoneRef.current) {
+            inPrivateZoneRef.current = false;
+            setInPrivateZone(false);
+            lastPublishedFixRef.current = null;
+            console.log('[Zones] Left private zone - sharing resumed');
+        }
+
+        if (!ownSosAlertRef.current && !shouldPublishFix(fix, last, currentProfile)) return;
+
+        const uid = getUid();
+        if (uid && currentGroup) {
+            lastPublishedFixRef.current = fix;
+            const shared = mode === 'coarse' ? coarsenLocation(latitude, longitude) : { lat: latitude, lon: longitude };
+            const data = {
+                name: username,
+                sport: sport,
+                lat: shared.lat,
+                lon: shared.lon,
+                accuracy: mode === 'coarse' ? Math.max(COARSE_GRID_METERS, Math.round(accuracy)) : Math.round(accuracy),
+                sharing: mode,
+                heartbeat: currentProfile.heartbeatMs,
+                timestamp: now + serverTimeOffsetRef.current
+            };
+            // Altitude is only shared at full precision
+            if (mode === 'live' && typeof raw.altitude === 'number') {
+                data.altitude = Math.round(raw.altitude);
+            }
+            lastSharedDataRef.current = data;
+            queueLocationWrite(currentGroup, uid, data);
+
+            // Only auto-center if autoCenterRef allows it
+            if (mapInstanceRef.current && autoCenterRef.current) {
+                mapInstanceRef.current.flyTo([latitude, longitude], 15, {
+                    animate: true,
+                    duration: 1.5
+                });
+            }
+        }
+    };
+
+    // The watch and replay callbacks outlive the render that created them;
+    // route their fixes through the latest handleRawFix (current group, sport, ...)
+    useEffect(() => {
+        handleRawFixRef.current = handleRawFix;
+    });
+
+    // Keep our own fixes in the local session log (throttled, like the
+    // published track, but regardless of sharing mode since it never leaves
+    // the device)
+    const recordSessionFix = (fix) => {
+        const log = sessionLogRef.current;
+        if (!log) return;
+        const last = log.fixes[log.fixes.length - 1];
+        if (last && fix.timestamp - last.timestamp < SESSION_LOG_MIN_INTERVAL_MS) return;
+        log.fixes.push(toHistoryPoint(fix));
+        persistSessionLog();
+    };
+
+    const persistSessionLog = (force = false) => {
+        const now = Date.now();
+        if (!sessionLogRef.current || !activeGroupRef.current) return;
+        if (!force && now - lastSessionLogSaveRef.current < SESSION_LOG_SAVE_MS) return;
+        lastSessionLogSaveRef.current = now;
+        saveSessionLog(activeGroupRef.current, sessionLogRef.current);
+    };
+
+    // Move our open SOS alert and its pin to a fresh fix and extend its
+    // breadcrumb. Both writes are transactions that only touch records that
+    // still exist (and an alert that is still open), so a late or replayed
+    // update can't resurrect an SOS that was resolved or cleaned up meanwhile.
+    const publishSosFix = (latitude, longitude, accuracy, altitude, now) => {
+        const sos = ownSosAlertRef.current;
+        if (!sos || !currentGroup) return;
+        const group = currentGroup;
+        const timestamp = now + serverTimeOffsetRef.current;
+
+        const lastPoint = lastSosTrailPointRef.current;
+        if (!lastPoint
+            || distanceMeters(lastPoint.lat, lastPoint.lon, latitude, longitude) >= SOS_TRAIL_MIN_STEP_METERS
+            || timestamp - lastPoint.timestamp >= SOS_TRAIL_MAX_GAP_MS) {
+            pendingSosTrailRef.current.push({ lat: latitude, lon: longitude, accuracy: Math.round(accuracy), timestamp });
+            lastSosTrailPointRef.current = { lat: latitude, lon: longitude, timestamp };
+        }
+        // Offline (or still sending the last one): the breadcrumb waits and
+        // goes out with the next fix
+        if (!connectedRef.current || sosPublishingRef.current) return;
+        sosPublishingRef.current = true;
+
+        const trail = pendingSosTrailRef.current.splice(0);
+        const live = {
+            lat: latitude,
+            lon: longitude,
+            location: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+            accuracy: Math.round(accuracy),
+            updatedAt: timestamp
+        };
+        if (typeof altitude === 'number') live.altitude = Math.round(altitude);
+
+        database.ref(`groups/${group}/alerts/${sos.id}`).transaction((current) => {
+            if (!isSosOpen(current)) return undefined; // closed or deleted: abort
+            const next = { ...current, ...live, trail: { ...(current.trail || {}) } };
+            trail.forEach((point) => {
+                next.trail[point.timestamp] = point;
+            });
+            return next;
+        }).then(({ committed, snapshot }) => {
+            if (!committed || !isSosOpen(snapshot.val())) return null;
+            // The pin may not exist yet if the SOS was sent without a known
+            // position; once it has existed, a missing pin was taken down on purpose
+            return database.ref(`groups/${group}/pins/sos_${sos.id}`).transaction((pin) => {
+                if (pin) {
+                    sosPinSeenRef.current = true;
+                    return { ...pin, lat: latitude, lon: longitude };
+                }
+                if (sosPinSeenRef.current) return undefined;
+                return {
+                    lat: latitude,
+                    lon: longitude,
+                    label: `🆘 EMERGENCY - ${sos.data.username}${sos.data.trigger === 'crash' ? ' (crash detected)' : ''}`,
+                    pinTime: new Date(sos.data.timestamp).toLocaleTimeString(),
+                    createdBy: sos.data.username,
+                    createdAt: sos.data.timestamp,
+                    isSOS: true
+                };
+            });
+        }).catch((e) => {
+            pendingSosTrailRef.current.unshift(...trail);
+            console.warn('[SOS] Could not update live position:', e);
+        }).finally(() => {
+            sosPublishingRef.current = false;
+        });
+    };
 
     // Start location tracking
     const startLocationTracking = () => {
@@ -879,42 +3578,25 @@ function App() {
             return;
         }
 
+        // An open SOS always gets the most precise, most frequent fixes
+        const sosActive = !!ownSosAlertRef.current;
+        const profile = sosActive
+            ? TRACKING_PROFILES.high
+            : (TRACKING_PROFILES[trackingProfileRef.current] || TRACKING_PROFILES[DEFAULT_TRACKING_PROFILE]);
+        const lowAccuracy = !sosActive && (lowPowerRef.current || !profile.highAccuracy);
+        console.log(`[Tracking] Profile ${profile.label}, ${lowAccuracy ? 'low' : 'high'} accuracy${sosActive ? ' (SOS)' : ''}`);
+
         // Try to get real location first
         const id = navigator.geolocation.watchPosition(
             (position) => {
-                const { latitude, longitude, accuracy } = position.coords;
-                
-                // Only accept locations within our accuracy threshold
-                // This helps filter out extremely poor location estimates
-                const isGpsQuality = (typeof accuracy === 'number' && accuracy < MAX_ACCEPTABLE_ACCURACY_METERS);
-                if (!isGpsQuality) {
-                    console.warn(`Location accuracy too low (${accuracy?.toFixed(1) || 'unknown'}m). Waiting for better signal... (threshold: ${MAX_ACCEPTABLE_ACCURACY_METERS}m)`);
-                    return;
-                }
-
-                const uid = getUid();
-                if (uid && currentGroup) {
-                    database.ref(`groups/${currentGroup}/locations/${uid}`).set({
-                        name: username,
-                        sport: sport,
-                        lat: latitude,
-                        lon: longitude,
-                        timestamp: Date.now()
-                    }).then(() => {
-                        console.log(`✅ Location saved to Firebase`);
-                    }).catch((err) => {
-                        console.error('❌ Error saving to Firebase:', err);
-                    });
-
-                    // Save last own location and only auto-center if autoCenterRef allows it
-                    lastOwnLocationRef.current = [latitude, longitude];
-                    if (mapInstanceRef.current && autoCenterRef.current) {
-                        mapInstanceRef.current.flyTo([latitude, longitude], 15, {
-                            animate: true,
-                            duration: 1.5
-                        });
-                    }
-                }
+                handleRawFixRef.current({
+                    lat: position.coords.latitude,
+                    lon: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    altitude: position.coords.altitude,
+                    speed: position.coords.speed,
+                    time: Date.now()
+                });
             },
             (error) => {
                 console.error('Error getting real location:', error);
@@ -926,71 +3608,110 @@ function App() {
                 setShowLocationPrompt(true);
             },
             {
-                enableHighAccuracy: true,
-                maximumAge: 10000,
-                timeout: 10000
+                enableHighAccuracy: !lowAccuracy,
+                maximumAge: profile.maximumAge,
+                timeout: lowAccuracy ? Math.max(10000, profile.heartbeatMs) : 10000
             }
         );
 
+        watchIdRef.current = id;
         setWatchId(id);
     };
 
-    // Use simulated location as fallback (not used by default; kept for demos)
-    const useSimulatedLocation = () => {
-        const updateSimulatedLocation = () => {
-            const simulatedLat = 50.1163 + (Math.random() - 0.5) * 0.01;
-            const simulatedLon = -122.9574 + (Math.random() - 0.5) * 0.01;
-            
-            console.log('Updating simulated location:', simulatedLat, simulatedLon);
-            
-            const uid = getUid();
-            if (uid && currentGroup) {
-                database.ref(`groups/${currentGroup}/locations/${uid}`).set({
-                    name: username,
-                    sport: sport,
-                    lat: simulatedLat,
-                    lon: simulatedLon,
-                    timestamp: Date.now()
-                }).then(() => {
-                    console.log('✅ Simulated location saved to Firebase!');
-                }).catch((err) => {
-                    console.error('❌ Error saving to Firebase:', err);
-                });
+    // Load a GPX/GeoJSON route from a local file for replay
+    const handleRouteFile = async (file) => {
+        if (!file) return;
+        try {
+            const text = await file.text();
+            const route = buildReplayRoute(parseRouteFile(text, file.name), sport);
+            stopRouteReplay();
+            setSimRoute({ name: file.name, ...route });
+            console.log(`[Replay] Loaded ${file.name}: ${route.points.length} points, ${Math.round(route.durationMs / 1000)}s`);
+        } catch (e) {
+            console.error('[Replay] Failed to load route:', e);
+            showToast('Could not load route: ' + e.message, 'error');
+        }
+    };
 
-                // Update last own location and only move map if auto-centering is enabled
-                lastOwnLocationRef.current = [simulatedLat, simulatedLon];
-                if (mapInstanceRef.current && autoCenterRef.current) {
-                    mapInstanceRef.current.flyTo([simulatedLat, simulatedLon], 15, {
-                        animate: true,
-                        duration: 1.5
-                    });
+    // Start or resume replaying the loaded route. Real GPS is switched off while
+    // replaying; fixes go through handleRawFix exactly like watchPosition fixes.
+    const startRouteReplay = () => {
+        if (!simRoute || simIntervalId) return;
+        if (watchId) {
+            try {
+                navigator.geolocation.clearWatch(watchId);
+            } catch (e) {
+                // ignore
+            }
+            setWatchId(null);
+            watchIdRef.current = null;
+        }
+        if (!simulating || simOffsetRef.current >= simRoute.durationMs) {
+            simOffsetRef.current = 0;
+            fixFilterRef.current = null;
+        }
+        setSimulating(true);
+
+        let lastTick = Date.now();
+        let interval = null;
+        const tick = () => {
+            const now = Date.now();
+            simOffsetRef.current += (now - lastTick) * simSpeedRef.current;
+            lastTick = now;
+            if (simOffsetRef.current > simRoute.durationMs) {
+                if (simLoopRef.current && simRoute.durationMs > 0) {
+                    simOffsetRef.current %= simRoute.durationMs;
+                    // Jumping back to the start is not a real movement
+                    fixFilterRef.current = null;
+                } else {
+                    simOffsetRef.current = simRoute.durationMs;
+                    clearInterval(interval);
+                    setSimIntervalId(null);
+                    console.log('[Replay] Reached end of route');
                 }
             }
+            const position = routePositionAt(simRoute, simOffsetRef.current);
+            setSimProgress(simRoute.durationMs ? simOffsetRef.current / simRoute.durationMs : 1);
+            handleRawFixRef.current({
+                lat: position.lat,
+                lon: position.lon,
+                accuracy: REPLAY_ACCURACY_METERS,
+                time: now
+            }, simSpeedRef.current);
         };
-        
-        // Clear any existing simulation interval before starting a new one
+
+        tick();
+        interval = setInterval(tick, REPLAY_TICK_MS);
+        setSimIntervalId(interval);
+        console.log('✅ Route replay started');
+    };
+
+    // Pause replay, keeping the position (real GPS stays off)
+    const pauseRouteReplay = () => {
         if (simIntervalId) {
             clearInterval(simIntervalId);
             setSimIntervalId(null);
         }
+    };
 
-        // Initial update
-        updateSimulatedLocation();
-        
-        // Update every 5 seconds
-        const simulationInterval = setInterval(updateSimulatedLocation, 5000);
-        setSimIntervalId(simulationInterval);
-        
-        console.log('✅ Simulated location tracking started!');
+    // Stop replay and hand control back to real GPS
+    const stopRouteReplay = () => {
+        pauseRouteReplay();
+        simOffsetRef.current = 0;
+        fixFilterRef.current = null;
+        setSimProgress(0);
+        setSimulating(false);
     };
 
     // Stop location tracking
     const stopLocationTracking = () => {
-        // Stop simulated interval if active
+        // Stop route replay if active
         if (simIntervalId) {
             clearInterval(simIntervalId);
             setSimIntervalId(null);
         }
+        simOffsetRef.current = 0;
+        setSimulating(false);
         // Stop geolocation watcher if active (legacy path)
         if (watchId) {
             try {
@@ -1000,6 +3721,7 @@ function App() {
             }
             setWatchId(null);
         }
+        watchIdRef.current = null;
     };
 
     // Anonymous sign in
@@ -1009,7 +3731,7 @@ function App() {
         // Strict validation
         if (!username.trim() || username.trim().length < 2) {
             console.log('[Sign In] Rejected - username too short');
-            alert('Please enter a name with at least 2 characters');
+            showToast('Please enter a name with at least 2 characters', 'error');
             return;
         }
         
@@ -1033,7 +3755,7 @@ function App() {
             setHasStarted(true);
         } catch (error) {
             console.error('[Sign In] ❌ Error signing in:', error);
-            alert('Error signing in: ' + error.message);
+            showToast('Error signing in: ' + error.message, 'error');
             setSigningIn(false);
         }
     };
@@ -1041,13 +3763,13 @@ function App() {
     // Join group
     const handleJoinGroup = async () => {
         if (!groupCode.trim()) {
-            alert('Please enter a group code');
+            showToast('Please enter a group code', 'error');
             return;
         }
         // Ensure we have an authenticated user
         const signed = await ensureSignedIn();
         if (!signed || !signed.uid) {
-            alert('Unable to sign in. Please try again.');
+            showToast('Unable to sign in. Please try again.', 'error');
             return;
         }
         const uid = signed.uid;
@@ -1070,9 +3792,12 @@ function App() {
         await database.ref(`groups/${code}/members/${uid}`).set({
             name: username,
             sport: sport,
+            sharing: sharingMode,
             joinedAt: Date.now()
         });
 
+        postFeedEvent(code, 'join', `${username} joined the group`, uid);
+
         // Presence cleanup on disconnect
         database.ref(`groups/${code}/members/${uid}`).onDisconnect().remove();
         database.ref(`groups/${code}/locations/${uid}`).onDisconnect().remove();
@@ -1085,8 +3810,19 @@ function App() {
         const uid = getUid();
         if (uid && currentGroup) {
             try {
+                postFeedEvent(currentGroup, 'leave', `${username} left the group`, uid);
                 await database.ref(`groups/${currentGroup}/locations/${uid}`).remove();
+                await database.ref(`groups/${currentGroup}/tracks/${uid}`).remove();
+                await database.ref(`groups/${currentGroup}/history/${uid}`).remove();
+                await database.ref(`groups/${currentGroup}/stats/${uid}`).remove();
+                if (groupAlerts[inactivityAlertId(uid)]) {
+                    await database.ref(`groups/${currentGroup}/alerts/${inactivityAlertId(uid)}`).update({
+                        cleared: true,
+                        clearedAt: firebase.database.ServerValue.TIMESTAMP
+                    });
+                }
                 await database.ref(`groups/${currentGroup}/members/${uid}`).remove();
+                localStorage.removeItem(SESSION_LOG_STORAGE_PREFIX + currentGroup);
                 // After leaving, attempt cleanup
                 cleanupGroupIfEmpty(currentGroup);
             } catch (e) {
@@ -1094,6 +3830,11 @@ function App() {
             }
         }
 
+        resetGroupView();
+    };
+
+    // Local teardown shared by leaving and by a restored group that no longer exists
+    const resetGroupView = () => {
         // Clean up map instance
         if (mapInstanceRef.current) {
             try {
@@ -1104,8 +3845,19 @@ function App() {
             mapInstanceRef.current = null;
         }
         markersRef.current = {};
+        accuracyCirclesRef.current = {};
+        trackLayersRef.current = {};
+        ownTrackKeysRef.current = [];
         pinMarkersRef.current = {};
+        lastPublishedFixRef.current = null;
+        lastSharedDataRef.current = null;
+        stationaryRef.current = false;
+        fixFilterRef.current = null;
+        sessionStatsRef.current = emptySessionStats();
+        lastStatsPublishRef.current = 0;
         
+        setSelectedMemberId(null);
+        setGroupRoster({});
         setCurrentGroup(null);
         setGroupCode('');
         setCurrentGroupName(null);
@@ -1176,25 +3928,30 @@ function App() {
     };
 
     // Send SOS alert to group
-    const handleSOS = async () => {
+    // `trigger` is 'manual' from the SOS button or 'crash' from the detector
+    const handleSOS = async ({ trigger = 'manual' } = {}) => {
         if (!currentGroup || !user) return;
         
         const uid = getUid();
         if (!uid) return;
         
-        console.log('[SOS] Sending emergency alert');
+        console.log('[SOS] Sending emergency alert. Trigger:', trigger);
         
         // Request notification permission if not already granted
         if ('Notification' in window && Notification.permission === 'default') {
             await Notification.requestPermission();
         }
         
-        // Get current location from Firebase or use map center
+        // Use our precise last fix, else the shared location, else the map center.
+        // Live fixes keep moving the alert afterwards (see publishSosFix).
         let lat, lon, location;
         try {
             const locationSnap = await database.ref(`groups/${currentGroup}/locations/${uid}`).once('value');
             const locationData = locationSnap.val();
-            if (locationData) {
+            if (lastOwnLocationRef.current) {
+                [lat, lon] = lastOwnLocationRef.current;
+                location = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+            } else if (locationData && locationData.lat && locationData.lon) {
                 lat = locationData.lat;
                 lon = locationData.lon;
                 location = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
@@ -1208,16 +3965,20 @@ function App() {
             console.warn('[SOS] Could not get location:', e);
         }
         
-        // Create SOS alert
+        // Create SOS alert, starting its breadcrumb at the initial position
         const alertId = Date.now().toString();
+        const sentAt = Date.now();
         await database.ref(`groups/${currentGroup}/alerts/${alertId}`).set({
             userId: uid,
             username: username,
-            timestamp: Date.now(),
+            timestamp: sentAt,
             lat: lat,
             lon: lon,
             location: location,
-            type: 'SOS'
+            type: 'SOS',
+            trigger: trigger,
+            status: 'open',
+            trail: lat && lon ? { [sentAt]: { lat, lon, timestamp: sentAt } } : null
         });
         
         // Also create a pin at the location
@@ -1226,17 +3987,88 @@ function App() {
             await database.ref(`groups/${currentGroup}/pins/${pinId}`).set({
                 lat: lat,
                 lon: lon,
-                label: `🆘 EMERGENCY - ${username}`,
+                label: `🆘 EMERGENCY - ${username}${trigger === 'crash' ? ' (crash detected)' : ''}`,
                 pinTime: new Date().toLocaleTimeString(),
                 createdBy: username,
                 createdAt: Date.now(),
-                expiresAt: Date.now() + (30 * 60 * 1000), // 30 minutes
+                // No expiry: removed when the SOS is resolved or cancelled
                 isSOS: true
             });
         }
-        
-        setShowSosConfirm(false);
-        alert('🆘 SOS Alert sent to all group members!');
+        
+        postFeedEvent(currentGroup, 'sos', `${username} sent an SOS${trigger === 'crash' ? ' (crash detected)' : ''} at ${location || 'unknown location'}`);
+        setShowSosConfirm(false);
+        showToast('🆘 SOS Alert sent to all group members!', 'urgent');
+    };
+
+    // Add a private zone centered on our last position (or the map center)
+    const handleAddPrivateZone = () => {
+        let center = lastOwnLocationRef.current;
+        if (!center && mapInstanceRef.current) {
+            const mapCenter = mapInstanceRef.current.getCenter();
+            center = [mapCenter.lat, mapCenter.lng];
+        }
+        if (!center) {
+            showToast('No location available yet.', 'error');
+            return;
+        }
+        const zone = {
+            id: Date.now().toString(),
+            name: zoneName.trim() || `Zone ${privateZones.length + 1}`,
+            lat: center[0],
+            lon: center[1],
+            radius: zoneRadius
+        };
+        setPrivateZones([...privateZones, zone]);
+        setZoneName('');
+        console.log('[Zones] Added private zone:', zone.name);
+    };
+
+    const handleRemovePrivateZone = (zoneId) => {
+        setPrivateZones(privateZones.filter(zone => zone.id !== zoneId));
+    };
+
+    // Export the session: our own fixes from the local session log, other
+    // members' from their breadcrumb tracks (thinned, not cut, so they still
+    // reach back to the start), plus every pin created during the session
+    const handleExport = (format) => {
+        const uid = getUid();
+        const log = sessionLogRef.current || { startedAt: 0, fixes: [], pins: {} };
+        const sources = exportScope === 'group' ? { ...groupTracks } : {};
+        if (uid) sources[uid] = log.fixes;
+
+        const tracks = Object.entries(sources).map(([userId, points]) => {
+            const member = groupMembers[userId] || groupRoster[userId] || {};
+            return {
+                uid: userId,
+                name: member.name || (userId === uid ? username : userId),
+                sport: member.sport || (userId === uid ? sport : ''),
+                points: sessionTrackPoints(points, log.startedAt)
+            };
+        }).filter(track => track.points.length);
+
+        const pins = Object.values(log.pins)
+            .filter(pin => typeof pin.lat === 'number' && typeof pin.lon === 'number');
+
+        if (!tracks.length && !pins.length) {
+            showToast('Nothing recorded yet to export.', 'error');
+            return;
+        }
+
+        const session = {
+            name: `${currentGroupName || currentGroup} - ${exportScope === 'group' ? 'Group' : username}`,
+            tracks,
+            pins
+        };
+        const date = new Date().toISOString().slice(0, 10);
+        const basename = `groupride-${currentGroup}-${exportScope}-${date}`;
+        if (format === 'gpx') {
+            downloadFile(`${basename}.gpx`, buildGpx(session), 'application/gpx+xml');
+        } else {
+            downloadFile(`${basename}.geojson`, JSON.stringify(buildGeoJson(session), null, 2), 'application/geo+json');
+        }
+        console.log(`[Export] Exported ${tracks.length} track(s) and ${pins.length} pin(s) as ${format}`);
+        setShowExportModal(false);
     };
 
     // Set trail as highlighted (pinned) — persistent opacity and weight increase
@@ -1295,13 +4127,13 @@ function App() {
     // Create new group with generated code
     const handleCreateGroup = async () => {
         if (!username.trim()) {
-            alert('Enter your name first');
+            showToast('Enter your name first', 'error');
             return;
         }
         // Ensure signed-in
         const signed = await ensureSignedIn();
         if (!signed || !signed.uid) {
-            alert('Unable to sign in. Please try again.');
+            showToast('Unable to sign in. Please try again.', 'error');
             return;
         }
         const uid = signed.uid;
@@ -1312,13 +4144,13 @@ function App() {
             let finalCode;
             if (codeInput) {
                 if (!codePattern.test(codeInput)) {
-                    alert('Custom code must be 4-8 letters/numbers (A-Z, 0-9).');
+                    showToast('Custom code must be 4-8 letters/numbers (A-Z, 0-9).', 'error');
                     return;
                 }
                 // Check uniqueness
                 const exists = (await database.ref(`groups/${codeInput}`).once('value')).exists();
                 if (exists) {
-                    alert('That group code is already taken. Choose another or leave blank to auto-generate.');
+                    showToast('That group code is already taken. Choose another or leave blank to auto-generate.', 'error');
                     return;
                 }
                 finalCode = codeInput;
@@ -1340,9 +4172,11 @@ function App() {
             await database.ref(`groups/${finalCode}/members/${uid}`).set({
                 name: username,
                 sport: sport,
+                sharing: sharingMode,
                 joinedAt: Date.now(),
                 owner: true
             });
+            postFeedEvent(finalCode, 'join', `${username} created the group`, uid);
             // Presence cleanup on disconnect
             database.ref(`groups/${finalCode}/members/${uid}`).onDisconnect().remove();
             database.ref(`groups/${finalCode}/locations/${uid}`).onDisconnect().remove();
@@ -1350,14 +4184,24 @@ function App() {
             requestAnimationFrame(() => initMapIfNeeded());
         } catch (err) {
             console.error(err);
-            alert(err.message);
+            showToast(err.message, 'error');
         }
     };
 
+    // In-app messages, shown on every screen
+    const toastStack = toasts.length > 0 && (
+        <div className="toast-stack">
+            {toasts.map(toast => (
+                <div key={toast.id} className={`toast toast-${toast.kind}`}>{toast.message}</div>
+            ))}
+        </div>
+    );
+
     // Render username/login screen (force if user hasn't started)
     if (!hasStarted) {
         return (
             <div className="container">
+                {toastStack}
                 <div className="auth-container">
                     <h1>GroupRide</h1>
                     <p className="subtitle">Track your friends on the mountain</p>
@@ -1426,6 +4270,7 @@ function App() {
     if (!currentGroup) {
         return (
             <div className="container">
+                {toastStack}
                 <div className="auth-container">
                     <h1>Welcome, {username}!</h1>
                     <p className="subtitle">Join or create a group</p>
@@ -1469,13 +4314,67 @@ function App() {
         );
     }
 
+    // Live distance/bearing/elevation to the selected member ("find my buddy")
+    const buddyData = selectedMemberId ? groupMembers[selectedMemberId] : null;
+    const ownData = groupMembers[getUid()] || {};
+    const ownPosition = lastOwnLocationRef.current || (ownData.lat && ownData.lon ? [ownData.lat, ownData.lon] : null);
+    let buddy = null;
+    if (buddyData) {
+        buddy = { name: buddyData.name, hasPosition: false };
+        if (ownPosition && buddyData.lat && buddyData.lon) {
+            const ownAltitude = typeof lastOwnAltitudeRef.current === 'number' ? lastOwnAltitudeRef.current : ownData.altitude;
+            buddy.hasPosition = true;
+            buddy.distance = distanceMeters(ownPosition[0], ownPosition[1], buddyData.lat, buddyData.lon);
+            buddy.bearing = bearingDegrees(ownPosition[0], ownPosition[1], buddyData.lat, buddyData.lon);
+            buddy.elevationDiff = (typeof buddyData.altitude === 'number' && typeof ownAltitude === 'number')
+                ? buddyData.altitude - ownAltitude
+                : null;
+        }
+    }
+
     // Render main map view
+    const unreadCount = feed.filter(item => item.userId !== getUid() && item.timestamp > feedReadAt).length;
+    const reportText = reportAlertId ? emergencyReportFor(reportAlertId) : null;
+
     return (
         <div className="app-container">
+            {toastStack}
             <div className="header">
                 <div className="header-info">
                     <h2>{currentGroupName ? `${currentGroupName} (${currentGroup})` : `Group: ${currentGroup}`}</h2>
-                    <span className="user-badge">{username} ({sport})</span>
+                    <div className="header-badges">
+                        <span className="user-badge">{username} ({sport})</span>
+                        <select
+                            value={trackingProfile}
+                            onChange={(e) => setTrackingProfile(e.target.value)}
+                            className="profile-select"
+                            title="Location tracking profile"
+                        >
+                            {Object.entries(TRACKING_PROFILES).map(([key, profile]) => (
+                                <option key={key} value={key}>{profile.icon} {profile.label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={sharingMode}
+                            onChange={(e) => setSharingMode(e.target.value)}
+                            className="profile-select"
+                            title="Location sharing: live, coarse (~500 m) or paused"
+                        >
+                            {Object.entries(SHARING_MODES).map(([key, mode]) => (
+                                <option key={key} value={key}>{mode.icon} {mode.label}</option>
+                            ))}
+                        </select>
+                        {inPrivateZone && (
+                            <span className="profile-badge" title="Inside one of your private zones - location hidden">
+                                🏠 Private
+                            </span>
+                        )}
+                        {lowPower && (
+                            <span className="profile-badge" title="Stationary or in background - using low-accuracy location">
+                                💤 Low power
+                            </span>
+                        )}
+                    </div>
                 </div>
                 <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
                     <button 
@@ -1497,6 +4396,8 @@ function App() {
                                     lng: selectedTrail.location[1] 
                                 });
                                 setPinLabel(selectedTrail.name);
+                                setPinType(DEFAULT_PIN_TYPE);
+                                setPinLifetime('default');
                                 // Pre-fill pin time with current time
                                 const now = new Date();
                                 const hh = String(now.getHours()).padStart(2, '0');
@@ -1532,6 +4433,56 @@ function App() {
                         <span className="mobile-hide">{showMtbTrails ? '🚴 ON' : '🚴 MTB'}</span>
                         <span className="mobile-show">🚴</span>
                     </button>
+                    <button 
+                        onClick={() => {
+                            const next = TRACK_WINDOW_ORDER[(TRACK_WINDOW_ORDER.indexOf(trackWindow) + 1) % TRACK_WINDOW_ORDER.length];
+                            setTrackWindow(next);
+                        }}
+                        className={`btn btn-small ${trackWindow !== 'off' ? 'btn-primary' : 'btn-secondary'}`}
+                        title="Cycle member track length"
+                    >
+                        <span className="mobile-hide">〰️ {TRACK_WINDOWS[trackWindow].label}</span>
+                        <span className="mobile-show">〰️</span>
+                    </button>
+                    <button 
+                        onClick={() => setShowSimPanel(!showSimPanel)} 
+                        className={`btn btn-small ${simulating ? 'btn-primary' : 'btn-secondary'}`}
+                        title="Replay a GPX/GeoJSON route instead of real GPS"
+                    >
+                        <span className="mobile-hide">{simulating ? '🎬 Replaying' : '🎬 Sim'}</span>
+                        <span className="mobile-show">🎬</span>
+                    </button>
+                    <button 
+                        onClick={() => setShowZonesModal(true)} 
+                        className="btn btn-small"
+                        title="Manage private zones"
+                    >
+                        <span className="mobile-hide">🏠 Zones</span>
+                        <span className="mobile-show">🏠</span>
+                    </button>
+                    <button 
+                        onClick={toggleCrashDetection} 
+                        className={`btn btn-small ${crashDetection ? 'btn-primary' : 'btn-secondary'}`}
+                        title="Send SOS automatically if a crash is detected and you don't respond"
+                    >
+                        <span className="mobile-hide">{crashDetection ? '💥 Crash ON' : '💥 Crash'}</span>
+                        <span className="mobile-show">💥</span>
+                    </button>
+                    <button 
+                        onClick={() => setShowExportModal(true)} 
+                        className="btn btn-small"
+                        title="Export tracks as GPX or GeoJSON"
+                    >
+                        <span className="mobile-hide">⬇️ Export</span>
+                        <span className="mobile-show">⬇️</span>
+                    </button>
+                    <button 
+                        onClick={() => setShowFeed(true)} 
+                        className="btn btn-small feed-button"
+                        title="Group notifications"
+                    >
+                        🔔{unreadCount > 0 && <span className="feed-badge">{unreadCount}</span>}
+                    </button>
                     <button 
                         onClick={() => setShowSosConfirm(true)} 
                         className="btn btn-small"
@@ -1566,8 +4517,200 @@ function App() {
                 </div>
             </div>
             
+            {!connected && (
+                <div className="connection-banner">
+                    📡 Connection lost — showing last known positions
+                </div>
+            )}
+
+            {Object.entries(groupAlerts)
+                .filter(([, alertData]) => alertData.type === 'INACTIVE' && !alertData.dismissed && !alertData.cleared)
+                .map(([alertId, alertData]) => (
+                    <div key={alertId} className="inactivity-banner">
+                        {alertData.userId === getUid() ? (
+                            <>
+                                <span>⚠️ You haven't moved since {new Date(alertData.since).toLocaleTimeString()} — your group has been notified</span>
+                                <button className="btn btn-small btn-primary" onClick={handleDismissInactivity}>
+                                    ✅ I'm fine
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <span>⚠️ {alertData.username} hasn't moved since {new Date(alertData.since).toLocaleTimeString()}</span>
+                                <button
+                                    className="btn btn-small btn-secondary"
+                                    onClick={() => {
+                                        setSelectedMemberId(alertData.userId);
+                                        if (mapInstanceRef.current) {
+                                            mapInstanceRef.current.flyTo([alertData.lat, alertData.lon], 16, { animate: true, duration: 1 });
+                                        }
+                                    }}
+                                >
+                                    🧭 Find
+                                </button>
+                            </>
+                        )}
+                    </div>
+                ))}
+
+            {separatedMembers.map(entry => (
+                <div key={entry.userId} className="separation-banner">
+                    <span>
+                        📏 {entry.userId === getUid() ? "You're" : `${(groupMembers[entry.userId] || {}).name} is`} {formatDistance(entry.distance)} from
+                        {separationAnchor === SEPARATION_CENTROID ? ' the group' : ` ${(groupMembers[separationAnchor] || {}).name || 'the anchor'}`}
+                    </span>
+                    <button className="btn btn-small btn-primary" onClick={() => handleRegroupHere(entry)}>
+                        🔁 Regroup here
+                    </button>
+                </div>
+            ))}
+
+            {roleViolations.violations.map(v => (
+                <div key={`${v.userId}:${v.kind}`} className="role-banner">
+                    {MEMBER_ROLES[v.kind === 'ahead' ? 'leader' : 'sweep'].icon}{' '}
+                    {v.userId === getUid() ? "You're" : `${(groupMembers[v.userId] || {}).name} is`} {formatDistance(v.gap)}{' '}
+                    {v.kind === 'ahead' ? 'ahead of the leader' : 'behind the sweep'} on {roleViolations.route}
+                </div>
+            ))}
+
             <div className="map-container">
                 <div ref={mapRef} id="map"></div>
+                {Object.entries(groupAlerts).some(([, alertData]) => isSosOpen(alertData)) && (
+                    <div className="sos-panel">
+                        {Object.entries(groupAlerts)
+                            .filter(([, alertData]) => isSosOpen(alertData))
+                            .map(([alertId, alertData]) => {
+                                const status = SOS_STATUSES[sosStatus(alertData)];
+                                const isSender = alertData.userId === getUid();
+                                const mine = (alertData.responders || {})[getUid()];
+                                return (
+                                    <div key={alertId} className="sos-card">
+                                        <div className="sos-header">
+                                            <strong>🆘 {isSender ? 'Your SOS' : alertData.username}</strong>
+                                            <span>{status.icon} {status.label}</span>
+                                        </div>
+                                        <small>Sent {formatAge(clockNow - alertData.timestamp)}{alertData.trigger === 'crash' ? ' · crash detected' : ''}</small>
+                                        {alertData.delivery && (
+                                            <small>
+                                                {' · '}📡 {Object.entries(alertData.delivery).map(([channel, result]) => `${channel} ${result}`).join(', ')}
+                                            </small>
+                                        )}
+                                        <ul className="sos-responders">
+                                            {Object.entries(alertData.responders || {}).map(([responderId, r]) => (
+                                                <li key={responderId}>
+                                                    {SOS_STATUSES[r.status].icon} {r.name}
+                                                    {typeof r.distance === 'number' && ` · ${formatDistance(r.distance)}`}
+                                                    {r.status === 'enroute' && r.eta && ` · ETA ${r.eta > clockNow ? formatDuration(r.eta - clockNow) : 'now'}`}
+                                                </li>
+                                            ))}
+                                            {!alertData.responders && <li>No responders yet</li>}
+                                        </ul>
+                                        <div className="sos-actions">
+                                            {!isSender && !mine && (
+                                                <button className="btn btn-small btn-secondary" onClick={() => handleSosRespond(alertId, 'acknowledged')}>
+                                                    👍 Seen
+                                                </button>
+                                            )}
+                                            {!isSender && (!mine || mine.status !== 'enroute') && (
+                                                <button className="btn btn-small btn-primary" onClick={() => handleSosRespond(alertId, 'enroute')}>
+                                                    🏃 On my way
+                                                </button>
+                                            )}
+                                            <button className="btn btn-small btn-primary" onClick={() => handleSosClose(alertId, 'resolved')}>
+                                                ✅ Resolved
+                                            </button>
+                                            {isSender && (
+                                                <button className="btn btn-small btn-secondary" onClick={() => handleSosClose(alertId, 'cancelled')}>
+                                                    ✖️ Cancel SOS
+                                                </button>
+                                            )}
+                                            {hasAlertPosition(alertData) && (
+                                                <button className="btn btn-small btn-secondary" onClick={() => setReportAlertId(alertId)}>
+                                                    📋 Report
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                    </div>
+                )}
+                {buddy && (
+                    <div className="buddy-panel">
+                        <div className="buddy-header">
+                            <strong>🧭 {buddy.name}</strong>
+                            <button className="btn btn-small" onClick={() => setSelectedMemberId(null)} title="Close">✕</button>
+                        </div>
+                        {buddy.hasPosition ? (
+                            <>
+                                <div className="buddy-distance">{formatDistance(buddy.distance)}</div>
+                                <small>
+                                    Bearing {Math.round(buddy.bearing)}° {compassPoint(buddy.bearing)}
+                                    {buddy.elevationDiff !== null && (
+                                        ` · ${Math.abs(Math.round(buddy.elevationDiff))} m ${buddy.elevationDiff >= 0 ? 'above' : 'below'} you`
+                                    )}
+                                </small>
+                                {compassHeading !== null ? (
+                                    <div
+                                        className="buddy-arrow"
+                                        style={{ transform: `rotate(${buddy.bearing - compassHeading}deg)` }}
+                                        title="Points toward your buddy"
+                                    >
+                                        ⬆
+                                    </div>
+                                ) : ('DeviceOrientationEvent' in window && !compassEnabled && (
+                                    <button className="btn btn-small" onClick={enableCompass}>🧭 Compass</button>
+                                ))}
+                            </>
+                        ) : (
+                            <small>{buddyData.sharing === 'paused' || buddyData.sharing === 'private' ? 'Not sharing location right now' : 'Waiting for positions...'}</small>
+                        )}
+                    </div>
+                )}
+                {showSimPanel && (
+                    <div className="sim-panel">
+                        <strong>🎬 Route Replay</strong>
+                        <input
+                            type="file"
+                            accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+                            onChange={(e) => handleRouteFile(e.target.files && e.target.files[0])}
+                        />
+                        {simRoute ? (
+                            <small>
+                                {simRoute.name}: {simRoute.points.length} pts, {Math.round(simRoute.durationMs / 60000)} min
+                                {simRoute.timed ? '' : ' (paced)'} - {Math.round(simProgress * 100)}%
+                            </small>
+                        ) : (
+                            <small>Load a GPX or GeoJSON track to replay it as your location.</small>
+                        )}
+                        <div className="sim-controls">
+                            <select
+                                value={simSpeed}
+                                onChange={(e) => setSimSpeed(Number(e.target.value))}
+                                title="Replay speed"
+                            >
+                                {REPLAY_SPEED_OPTIONS.map(speed => (
+                                    <option key={speed} value={speed}>{speed}x</option>
+                                ))}
+                            </select>
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={simLoop}
+                                    onChange={(e) => setSimLoop(e.target.checked)}
+                                /> Loop
+                            </label>
+                        </div>
+                        <div className="sim-controls">
+                            {simIntervalId ? (
+                                <button className="btn btn-small" onClick={pauseRouteReplay}>⏸ Pause</button>
+                            ) : (
+                                <button className="btn btn-small" onClick={startRouteReplay} disabled={!simRoute}>▶ Play</button>
+                            )}
+                            <button className="btn btn-small" onClick={stopRouteReplay} disabled={!simulating}>⏹ Stop</button>
+                        </div>
+                    </div>
+                )}
             </div>
 
             {showLocationPrompt && (
@@ -1681,6 +4824,59 @@ function App() {
                 </div>
             )}
             
+            {crashCountdown !== null && (
+                <div style={{
+                    position: 'fixed',
+                    inset: 0,
+                    background: 'rgba(255,0,0,0.85)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    zIndex: 10002
+                }}>
+                    <div style={{
+                        background: '#fff',
+                        borderRadius: 12,
+                        padding: 24,
+                        width: '90%',
+                        maxWidth: 400,
+                        boxShadow: '0 10px 30px rgba(0,0,0,0.3)',
+                        border: '4px solid #ff0000',
+                        textAlign: 'center'
+                    }}>
+                        <div style={{ fontSize: '48px', marginBottom: 8 }}>💥</div>
+                        <h2 style={{ color: '#ff0000', marginBottom: 8 }}>Are you OK?</h2>
+                        <p style={{ marginBottom: 12, color: '#333', fontSize: '16px' }}>
+                            A crash was detected. SOS will be sent to your group in
+                        </p>
+                        <div style={{ fontSize: '64px', fontWeight: 'bold', color: '#ff0000', marginBottom: 20 }}>
+                            {crashCountdown}
+                        </div>
+                        <div style={{ display: 'flex', gap: 12, justifyContent: 'center' }}>
+                            <button
+                                className="btn btn-primary"
+                                onClick={() => setCrashCountdown(null)}
+                                style={{ minWidth: '120px', fontSize: '18px' }}
+                            >
+                                ✅ I'm OK
+                            </button>
+                            <button
+                                className="btn"
+                                onClick={() => setCrashCountdown(0)}
+                                style={{ 
+                                    background: '#ff0000', 
+                                    color: 'white', 
+                                    fontWeight: 'bold',
+                                    minWidth: '120px'
+                                }}
+                            >
+                                🆘 Send now
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {showSosConfirm && (
                 <div style={{
                     position: 'fixed',
@@ -1717,7 +4913,7 @@ function App() {
                             </button>
                             <button
                                 className="btn"
-                                onClick={handleSOS}
+                                onClick={() => handleSOS()}
                                 style={{ 
                                     background: '#ff0000', 
                                     color: 'white', 
@@ -1732,6 +4928,220 @@ function App() {
                 </div>
             )}
             
+            {showZonesModal && (
+                <div style={{
+                    position: 'fixed',
+                    inset: 0,
+                    background: 'rgba(0,0,0,0.5)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    zIndex: 10000
+                }}>
+                    <div style={{
+                        background: '#d4cbc0',
+                        borderRadius: 12,
+                        padding: 20,
+                        width: '90%',
+                        maxWidth: 400,
+                        boxShadow: '0 10px 30px rgba(0,0,0,0.2)',
+                        border: '4px solid #2d1b3d'
+                    }}>
+                        <h3 style={{ marginBottom: 8, color: '#2d1b3d' }}>🏠 Private Zones</h3>
+                        <p style={{ marginBottom: 12, color: '#333', fontSize: '14px' }}>
+                            Inside a zone the group only sees "in private zone". Zones are stored on this device only.
+                        </p>
+                        {privateZones.length === 0 ? (
+                            <p style={{ marginBottom: 12, color: '#555', fontSize: '14px' }}>No zones yet.</p>
+                        ) : (
+                            <div style={{ marginBottom: 12 }}>
+                                {privateZones.map(zone => (
+                                    <div key={zone.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6, color: '#2d1b3d' }}>
+                                        <span>{zone.name} ({zone.radius} m)</span>
+                                        <button
+                                            className="btn btn-small"
+                                            onClick={() => handleRemovePrivateZone(zone.id)}
+                                            style={{ marginBottom: 0 }}
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        <div className="form-group">
+                            <input
+                                type="text"
+                                placeholder="Zone name (e.g. Hotel)"
+                                value={zoneName}
+                                onChange={(e) => setZoneName(e.target.value)}
+                                className="input"
+                                maxLength="24"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Radius:</label>
+                            <select
+                                value={zoneRadius}
+                                onChange={(e) => setZoneRadius(Number(e.target.value))}
+                                className="input"
+                            >
+                                {PRIVATE_ZONE_RADIUS_OPTIONS.map(radius => (
+                                    <option key={radius} value={radius}>{radius} m</option>
+                                ))}
+                            </select>
+                            <small className="hint">Centered on your current location.</small>
+                        </div>
+                        <button className="btn btn-primary" onClick={handleAddPrivateZone}>
+                            Add Zone Here
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => setShowZonesModal(false)}>
+                            Close
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {reportText && (
+                <div style={{
+                    position: 'fixed',
+                    inset: 0,
+                    background: 'rgba(0,0,0,0.7)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    zIndex: 10001
+                }}>
+                    <div style={{
+                        background: '#fff',
+                        borderRadius: 12,
+                        padding: 20,
+                        width: '90%',
+                        maxWidth: 440,
+                        boxShadow: '0 10px 30px rgba(0,0,0,0.3)',
+                        border: '4px solid #ff0000'
+                    }}>
+                        <h3 style={{ marginBottom: 12, color: '#ff0000' }}>📋 Emergency Report</h3>
+                        <pre className="report-text">{reportText}</pre>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+                            <button className="btn btn-small btn-primary" onClick={() => handleCopyReport(reportText)}>
+                                📋 Copy
+                            </button>
+                            <a className="btn btn-small btn-primary" href={`sms:?&body=${encodeURIComponent(reportText)}`}>
+                                💬 SMS
+                            </a>
+                            <button className="btn btn-small btn-secondary" onClick={() => handlePrintReport(reportText)}>
+                                🖨️ Print
+                            </button>
+                            <button className="btn btn-small btn-secondary" onClick={() => setReportAlertId(null)}>
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {showFeed && (
+                <div style={{
+                    position: 'fixed',
+                    inset: 0,
+                    background: 'rgba(0,0,0,0.5)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    zIndex: 10000
+                }}>
+                    <div style={{
+                        background: '#d4cbc0',
+                        borderRadius: 12,
+                        padding: 20,
+                        width: '90%',
+                        maxWidth: 400,
+                        boxShadow: '0 10px 30px rgba(0,0,0,0.2)',
+                        border: '4px solid #2d1b3d'
+                    }}>
+                        <h3 style={{ marginBottom: 16, color: '#2d1b3d' }}>🔔 Notifications</h3>
+                        <ul className="feed-list">
+                            {feed.length === 0 && <li className="hint">Nothing yet.</li>}
+                            {[...feed].reverse().map(item => (
+                                <li
+                                    key={item.id}
+                                    className={`feed-item${(FEED_TYPES[item.type] || {}).urgent ? ' feed-urgent' : ''}${item.userId !== getUid() && item.timestamp > feedReadAt ? ' feed-unread' : ''}`}
+                                >
+                                    <span>{(FEED_TYPES[item.type] || FEED_TYPES.pin).icon} {item.text}</span>
+                                    <small>{new Date(item.timestamp).toLocaleTimeString()} · {formatAge(clockNow - item.timestamp)}</small>
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="form-group">
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setShowFeed(false)}
+                                style={{ width: 'auto', marginBottom: 0 }}
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {showExportModal && (
+                <div style={{
+                    position: 'fixed',
+                    inset: 0,
+                    background: 'rgba(0,0,0,0.5)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    zIndex: 10000
+                }}>
+                    <div style={{
+                        background: '#d4cbc0',
+                        borderRadius: 12,
+                        padding: 20,
+                        width: '90%',
+                        maxWidth: 400,
+                        boxShadow: '0 10px 30px rgba(0,0,0,0.2)',
+                        border: '4px solid #2d1b3d'
+                    }}>
+                        <h3 style={{ marginBottom: 16, color: '#2d1b3d' }}>⬇️ Export Session</h3>
+                        <div className="form-group">
+                            <label>Tracks:</label>
+                            <select
+                                value={exportScope}
+                                onChange={(e) => setExportScope(e.target.value)}
+                                className="input"
+                            >
+                                <option value="mine">My track</option>
+                                <option value="group">Every member</option>
+                            </select>
+                            <small className="hint">Pins created during this session are included.</small>
+                        </div>
+                        <div className="form-group">
+                            <button
+                                className="btn btn-primary"
+                                onClick={() => handleExport('gpx')}
+                            >
+                                GPX 1.1
+                            </button>
+                            <button
+                                className="btn btn-primary"
+                                onClick={() => handleExport('geojson')}
+                            >
+                                GeoJSON
+                            </button>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setShowExportModal(false)}
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {showPinModal && (
                 <div style={{
                     position: 'fixed',
@@ -1769,10 +5179,26 @@ function App() {
                                 </div>
                             </div>
                         )}
+                        <div className="form-group">
+                            <label>Type:</label>
+                            <div className="pin-type-picker">
+                                {Object.entries(PIN_TYPES).map(([key, type]) => (
+                                    <button
+                                        key={key}
+                                        type="button"
+                                        className={`btn btn-small ${pinType === key ? 'btn-primary' : 'btn-secondary'}`}
+                                        onClick={() => setPinType(key)}
+                                        title={`${type.label} (default: ${formatLifetime(type.lifetimeMs)})`}
+                                    >
+                                        {type.icon} {type.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
                         <div className="form-group">
                             <input
                                 type="text"
-                                placeholder="Enter pin name"
+                                placeholder={`Pin name (default: ${PIN_TYPES[pinType].label})`}
                                 value={pinLabel}
                                 onChange={(e) => setPinLabel(e.target.value)}
                                 className="input"
@@ -1789,6 +5215,32 @@ function App() {
                                 className="input"
                             />
                         </div>
+                        <div className="form-group">
+                            <label>Expires:</label>
+                            <select
+                                value={pinLifetime}
+                                onChange={(e) => setPinLifetime(e.target.value)}
+                                className="input"
+                            >
+                                {PIN_LIFETIME_OPTIONS.map(option => (
+                                    <option key={option.key} value={option.key}>
+                                        {option.key === 'default'
+                                            ? `${option.label} (${pinType === 'regroup' && pinTime
+                                                ? `until ${new Date(pinExpiresAt(pinType, 'default', '', Date.now(), pinTime)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                                                : formatLifetime(PIN_TYPES[pinType].lifetimeMs)})`
+                                            : option.label}
+                                    </option>
+                                ))}
+                            </select>
+                            {pinLifetime === 'at' && (
+                                <input
+                                    type="time"
+                                    value={pinExpiryTime}
+                                    onChange={(e) => setPinExpiryTime(e.target.value)}
+                                    className="input"
+                                />
+                            )}
+                        </div>
                         <div className="form-group">
                             <button
                                 className="btn btn-secondary"
@@ -1804,45 +5256,50 @@ function App() {
                             <button
                                 className="btn btn-primary"
                                 onClick={() => {
-                                    if (pinLabel.trim()) {
-                                        const pinId = Date.now().toString();
-                                        const now = Date.now();
-                                        const fiveMinutes = 5 * 60 * 1000; // 5 minutes in milliseconds
-                                        
-                                        const pinData = {
-                                            lat: pendingPinLocation.lat,
-                                            lon: pendingPinLocation.lng,
-                                            label: pinLabel.trim(),
-                                            pinTime: pinTime,
-                                            createdBy: username,
-                                            createdAt: now,
-                                            expiresAt: now + fiveMinutes
+                                    if (pinLifetime === 'at' && !pinExpiryTime) {
+                                        showToast('Choose when the pin should expire', 'error');
+                                        return;
+                                    }
+                                    const pinId = Date.now().toString();
+                                    const now = Date.now();
+                                    
+                                    const pinData = {
+                                        lat: pendingPinLocation.lat,
+                                        lon: pendingPinLocation.lng,
+                                        label: pinLabel.trim() || PIN_TYPES[pinType].label,
+                                        type: pinType,
+                                        pinTime: pinTime,
+                                        createdBy: username,
+                                        createdAt: now
+                                    };
+                                    // No expiresAt means the pin stays until removed
+                                    const expiresAt = pinExpiresAt(pinType, pinLifetime, pinExpiryTime, now, pinTime);
+                                    if (expiresAt) pinData.expiresAt = expiresAt;
+                                    
+                                    // Add trail info if this is a trail pin
+                                    if (selectedTrail) {
+                                        pinData.trail = {
+                                            id: selectedTrail.id,
+                                            name: selectedTrail.name,
+                                            type: selectedTrail.type,
+                                            difficulty: selectedTrail.difficulty,
+                                            color: selectedTrail.color
                                         };
-                                        
-                                        // Add trail info if this is a trail pin
-                                        if (selectedTrail) {
-                                            pinData.trail = {
-                                                id: selectedTrail.id,
-                                                name: selectedTrail.name,
-                                                type: selectedTrail.type,
-                                                difficulty: selectedTrail.difficulty,
-                                                color: selectedTrail.color
-                                            };
-                                        }
-                                        
-                                        database.ref(`groups/${currentGroup}/pins/${pinId}`).set(pinData);
-                                        // Highlight the pinned trail on the map (if available)
-                                        if (selectedTrail && selectedTrail.id) {
-                                            setTrailHighlighted(selectedTrail.id, true);
-                                        }
-                                        setShowPinModal(false);
-                                        setPinLabel('');
-                                        setPinTime('');
-                                        setPinMode(false);
-                                        setSelectedTrail(null);
-                                        
-                                        console.log('[Pin] Created pin:', pinData);
                                     }
+                                    
+                                    database.ref(`groups/${currentGroup}/pins/${pinId}`).set(pinData);
+                                    postFeedEvent(currentGroup, 'pin', `${username} dropped a pin: ${pinData.label}${pinTime ? ` @ ${pinTime}` : ''}`);
+                                    // Highlight the pinned trail on the map (if available)
+                                    if (selectedTrail && selectedTrail.id) {
+                                        setTrailHighlighted(selectedTrail.id, true);
+                                    }
+                                    setShowPinModal(false);
+                                    setPinLabel('');
+                                    setPinTime('');
+                                    setPinMode(false);
+                                    setSelectedTrail(null);
+                                    
+                                    console.log('[Pin] Created pin:', pinData);
                                 }}
                                 style={{ width: 'auto', marginBottom: 0 }}
                             >
@@ -1854,13 +5311,51 @@ function App() {
             )}
             
             <div className="members-panel">
-                <h3>Group Members ({Object.keys(groupMembers).length})</h3>
+                <div className="members-header">
+                    <h3>Group Members ({Object.keys(groupMembers).length})</h3>
+                    <select
+                        className="profile-select"
+                        value={inactivityMinutes}
+                        onChange={(e) => handleInactivityMinutesChange(Number(e.target.value))}
+                        title="Alert the group when someone hasn't moved off-lift for this long"
+                    >
+                        {INACTIVITY_MINUTES_OPTIONS.map(minutes => (
+                            <option key={minutes} value={minutes}>
+                                {minutes ? `⏱️ Inactive ${minutes} min` : '⏱️ Inactivity off'}
+                            </option>
+                        ))}
+                    </select>
+                    <select
+                        className="profile-select"
+                        value={separationMeters}
+                        onChange={(e) => handleSeparationChange({ separationMeters: Number(e.target.value) })}
+                        title="Alert when someone is farther than this from the group"
+                    >
+                        {SEPARATION_RADIUS_OPTIONS.map(meters => (
+                            <option key={meters} value={meters}>
+                                {meters ? `📏 Apart ${formatDistance(meters)}` : '📏 Separation off'}
+                            </option>
+                        ))}
+                    </select>
+                    <select
+                        className="profile-select"
+                        value={separationAnchor}
+                        onChange={(e) => handleSeparationChange({ separationAnchor: e.target.value })}
+                        title="Measure separation from the pack or from one member"
+                    >
+                        <option value={SEPARATION_CENTROID}>from pack</option>
+                        {Object.entries(groupMembers).map(([userId, data]) => (
+                            <option key={userId} value={userId}>from {data.name}</option>
+                        ))}
+                    </select>
+                </div>
                 <div className="members-list">
                     {Object.entries(groupMembers).map(([userId, data]) => (
                         <div 
                             key={userId} 
                             className="member-item"
                             onClick={() => {
+                                if (userId !== getUid()) setSelectedMemberId(userId);
                                 if (data.lat && data.lon && mapInstanceRef.current) {
                                     mapInstanceRef.current.flyTo([data.lat, data.lon], 16, {
                                         animate: true,
@@ -1878,14 +5373,44 @@ function App() {
                                 {data.sport === 'ski' ? '⛷️' : '🚴'}
                             </span>
                             <div className="member-info">
-                                <strong>{data.name}</strong>
+                                <strong>
+                                    {data.name}
+                                    {MEMBER_ROLES[(groupRoster[userId] || {}).role] && ` ${MEMBER_ROLES[groupRoster[userId].role].icon}`}
+                                    {memberActivity[userId] && ` — ${formatActivity(memberActivity[userId])}`}
+                                </strong>
                                 <small>
-                                    {data.timestamp 
-                                        ? `Updated ${Math.round((Date.now() - data.timestamp) / 1000)}s ago`
-                                        : 'No location yet'}
+                                    {data.sharing === 'paused'
+                                        ? '⏸️ Sharing paused'
+                                        : data.sharing === 'private'
+                                            ? '🏠 In private zone'
+                                            : data.timestamp 
+                                                ? `${MEMBER_FRESHNESS[memberFreshness(data.timestamp, clockNow, data.heartbeat)].icon} Updated ${formatAge(clockNow - data.timestamp)}${data.sharing === 'coarse' ? ' (approx.)' : ''}`
+                                                : 'No location yet'}
                                 </small>
+                                {memberTrails[userId] && (
+                                    <small>
+                                        📍 {memberTrails[userId].name} · {memberTrails[userId].difficulty}
+                                    </small>
+                                )}
+                                {groupStats[userId] && (
+                                    <small>{formatStatsSummary(groupStats[userId], data.sport)}</small>
+                                )}
 
                             </div>
+                            {(groupRoster[getUid()] || {}).owner && (
+                                <select
+                                    className="profile-select"
+                                    value={(groupRoster[userId] || {}).role || ''}
+                                    onClick={(e) => e.stopPropagation()}
+                                    onChange={(e) => handleAssignRole(userId, e.target.value)}
+                                    title="Assign a guiding role"
+                                >
+                                    <option value="">No role</option>
+                                    {Object.entries(MEMBER_ROLES).map(([key, role]) => (
+                                        <option key={key} value={key}>{role.icon} {role.label}</option>
+                                    ))}
+                                </select>
+                            )}
                         </div>
                     ))}
                 </div>
@@ -0,0 +1,32 @@
+// Replays every motion trace in traces/ through the crash detector and checks
+// it fires (or stays quiet) as the trace expects. Exits non-zero on a mismatch.
+//
+//   node scripts/check-crash-traces.js
+//
+// Trace format: { description, expectCrash, columns: ["time", "x", "y", "z"],
+// samples: [[ms, x, y, z], ...] } with acceleration in m/s² including gravity,
+// as delivered by DeviceMotionEvent.accelerationIncludingGravity.
+const fs = require('fs');
+const path = require('path');
+const { detectCrashInTrace, STANDARD_GRAVITY } = require('../crash-detection.js');
+
+const tracesDir = path.join(__dirname, '..', 'traces');
+const files = fs.readdirSync(tracesDir).filter(file => file.endsWith('.json')).sort();
+
+let failures = 0;
+files.forEach((file) => {
+    const trace = JSON.parse(fs.readFileSync(path.join(tracesDir, file), 'utf8'));
+    const samples = trace.samples.map(([time, x, y, z]) => ({ time, x, y, z }));
+    const peakG = Math.max(...samples.map(s => Math.sqrt(s.x * s.x + s.y * s.y + s.z * s.z) / STANDARD_GRAVITY));
+    const firedAt = detectCrashInTrace(samples);
+    const ok = (firedAt !== null) === trace.expectCrash;
+    if (!ok) failures++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${file}: ${firedAt !== null ? `fired at ${(firedAt / 1000).toFixed(1)} s` : 'no alert'}`
+        + ` (expected ${trace.expectCrash ? 'an alert' : 'none'}, peak ${peakG.toFixed(1)} g) - ${trace.description}`);
+});
+
+if (!files.length) {
+    console.error(`No traces found in ${tracesDir}`);
+    process.exit(1);
+}
+process.exit(failures ? 1 : 0);